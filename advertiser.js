@@ -0,0 +1,459 @@
+/**
+ * UPnP Advertisement (SSDP)
+ *
+ * Announces a root device, its embedded devices and their services with
+ * NOTIFY messages, and answers M-SEARCH requests for them.
+ *
+ * Based on http://www.upnp.org/specs/arch/UPnP-arch-DeviceArchitecture-v1.1.pdf
+ */
+
+'use strict';
+
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const os = require('os');
+const discovery = require('./discovery');
+const typeSatisfies = require('./discovery').typeSatisfies;
+
+const DISCOVERY_MULTICAST_ADDRESS = '239.255.255.250';
+const DISCOVERY_PORT = 1900;
+
+// The spec asks for at least 1800 seconds
+const DEFAULT_MAX_AGE = 1800;
+
+const ROOT_DEVICE = 'upnp:rootdevice';
+
+const PRODUCT = 'node-upnp';
+const PRODUCT_VERSION = '1.0';
+
+/**
+ * Lists the NT and USN pairs that advertise a device, its services and
+ * its embedded devices, in the order the spec gives: for the root device,
+ * upnp:rootdevice, then the UUID and device type of each device, then the
+ * service types of each device.
+ *
+ * @param device {Object} The device, with uuid, deviceType, services (service
+ * types) and devices (embedded devices like it).
+ * @param isRoot {boolean} Whether it is the root device.
+ * @returns {Array} The pairs, each with nt and usn.
+ */
+function advertisements(device, isRoot) {
+  const uuid = `uuid:${device.uuid.replace(/^uuid:/i, '')}`;
+  const pairs = [];
+  if (isRoot) {
+    pairs.push({ nt: ROOT_DEVICE, usn: `${uuid}::${ROOT_DEVICE}` });
+  }
+  pairs.push({ nt: uuid, usn: uuid });
+  pairs.push({ nt: device.deviceType, usn: `${uuid}::${device.deviceType}` });
+  (device.services || []).filter((serviceType, index, all) => {
+    return all.indexOf(serviceType) === index;
+  }).forEach((serviceType) => {
+    pairs.push({ nt: serviceType, usn: `${uuid}::${serviceType}` });
+  });
+  (device.devices || []).forEach((embedded) => {
+    Array.prototype.push.apply(pairs, advertisements(embedded, false));
+  });
+  return pairs;
+}
+
+/**
+ * Gets the ST and USN pairs that answer a search target.  A request for
+ * an earlier version of a type is answered with that version.
+ *
+ * @param pairs {Array} The advertisements, each with nt and usn.
+ * @param searchTarget {String} The search target of the M-SEARCH.
+ * @returns {Array} The answers, each with st and usn.
+ */
+function answers(pairs, searchTarget) {
+  if (searchTarget === 'ssdp:all') {
+    return pairs.map((pair) => { return { st: pair.nt, usn: pair.usn }; });
+  }
+  return pairs.filter((pair) => {
+    if (/^urn:/.test(searchTarget)) {
+      return /^urn:/.test(pair.nt) && typeSatisfies(pair.nt, searchTarget);
+    }
+    return pair.nt === searchTarget;
+  }).map((pair) => {
+    const uuid = pair.usn.split('::')[0];
+    return {
+      st: searchTarget,
+      usn: searchTarget === uuid ? uuid : `${uuid}::${searchTarget}`
+    };
+  });
+}
+
+/**
+ * Formats a message from its start line and headers.
+ *
+ * @param startLine {String} The request or status line.
+ * @param headers {Array} The headers, each a name and value.
+ * @returns {String} The message.
+ * @private
+ */
+function formatMessage(startLine, headers) {
+  const lines = headers.map((header) => { return `${header[0]}: ${header[1]}\r\n`; });
+  return `${startLine}\r\n${lines.join('')}\r\n`;
+}
+
+/**
+ * Sends a message.
+ *
+ * @param socket {Socket} The socket to send from.
+ * @param message {String} The message.
+ * @param port {Number} The destination port.
+ * @param address {String} The destination address.
+ * @returns {Promise} Resolves when the message is sent.
+ * @private
+ */
+function send(socket, message, port, address) {
+  return new Promise((resolve, reject) => {
+    socket.send(message, 0, message.length, port, address, (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Advertises a root device over SSDP.
+ *
+ * Once started, the advertiser sends ssdp:alive for every advertisement
+ * out of each network interface, and again at a random time before half
+ * of max-age has passed.  Matching M-SEARCH requests are answered after a
+ * random delay within their MX.  When stopped, it sends ssdp:byebye.
+ *
+ * The advertiser emits:
+ *   listening (address) when started
+ *   search (message) for each M-SEARCH request received
+ *   error (err) for socket errors, if anyone is listening for them
+ */
+class SsdpAdvertiser extends EventEmitter {
+  /**
+   * Creates the advertiser.  The advertiser does nothing until it is
+   * started.
+   *
+   * The options are:
+   *   location {String} The URL of the device description.  Required.
+   *   maxAge {Number} The seconds advertisements are valid, by default 1800.
+   *   bootId {Number} The BOOTID.UPNP.ORG, by default the time in seconds.
+   *   configId {Number} The CONFIGID.UPNP.ORG, by default 1.
+   *   interfaces {Array} The names or addresses of the network interfaces
+   *     to advertise on, by default every one that is not internal.
+   *   multicastAddress {String} The SSDP multicast group, by default 239.255.255.250.
+   *   port {Number} The SSDP port, by default 1900.
+   *   enableLog {boolean} Whether to enable console logging.
+   *
+   * @param device {Object} The root device, with uuid, deviceType, services
+   * (service types) and devices (embedded devices like it).
+   * @param options {Object} The options.
+   */
+  constructor(device, options) {
+    super();
+    const opts = options || {};
+    if (!opts.location) {
+      throw new Error('No location for the device description');
+    }
+    this._advertisements = advertisements(device, true);
+    this._location = opts.location;
+    this._maxAge = opts.maxAge || DEFAULT_MAX_AGE;
+    this._bootId = opts.bootId === undefined ? Math.floor(Date.now() / 1000) : opts.bootId;
+    this._configId = opts.configId === undefined ? 1 : opts.configId;
+    this._interfaceNames = opts.interfaces;
+    this._multicastAddress = opts.multicastAddress || DISCOVERY_MULTICAST_ADDRESS;
+    this._port = opts.port || DISCOVERY_PORT;
+    this._enableLog = opts.enableLog;
+    this._server = `${os.platform()}/${os.release()} UPnP/1.1 ${PRODUCT}/${PRODUCT_VERSION}`;
+    this._socket = null;
+    this._sendSockets = [];
+    this._repeatTimer = null;
+    this._replyTimers = new Set();
+  }
+
+  /**
+   * Gets the NT and USN pairs advertised.
+   *
+   * @returns {Array} The pairs, each with nt and usn.
+   */
+  get advertisements() {
+    return this._advertisements;
+  }
+
+  get bootId() {
+    return this._bootId;
+  }
+
+  get configId() {
+    return this._configId;
+  }
+
+  /**
+   * Gets whether the advertiser is started.
+   *
+   * @returns {boolean} Whether it is started.
+   */
+  get isStarted() {
+    return this._socket !== null;
+  }
+
+  /**
+   * Starts advertising.  This should only be called once.
+   *
+   * @param callback {Function} Called when the alive messages have been
+   * sent, if given.
+   */
+  start(callback) {
+    if (this._socket) {
+      throw new Error('Advertiser already started');
+    }
+    const networkInterfaces = discovery.listNetworkInterfaces(this._interfaceNames)
+        .filter((ni) => { return ni.family === 'IPv4'; });
+
+    this._socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    this._socket.on('message', (msg, remoteAddress) => {
+      const message = discovery.DiscoveryMessage.parseString(remoteAddress, new Date(),
+          msg.toString('UTF-8'));
+      if (message.isSearchRequest) {
+        this._answer(message);
+        // A listener that throws must not take the socket down with it
+        try {
+          this.emit('search', message);
+        } catch (err) {
+          this._emitError(err);
+        }
+      }
+    });
+
+    const listening = this._bind(this._socket, this._port).then(() => {
+      (networkInterfaces.length ? networkInterfaces : [undefined]).forEach((ni) => {
+        try {
+          if (ni) {
+            this._socket.addMembership(this._multicastAddress, ni.address);
+          } else {
+            this._socket.addMembership(this._multicastAddress);
+          }
+        } catch (err) {
+          this._emitError(err);
+        }
+      });
+    });
+    const sendersBound = Promise.all((networkInterfaces.length ? networkInterfaces : [undefined])
+        .map((ni) => {
+          const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+          this._sendSockets.push(socket);
+          return this._bind(socket, 0, ni ? ni.address : undefined).then(() => {
+            if (ni) {
+              socket.setMulticastInterface(ni.address);
+            }
+          });
+        }));
+
+    Promise.all([listening, sendersBound]).then(() => {
+      const address = this._socket.address();
+      if (this._enableLog) {
+        console.log(`advertiser listening ${address.address}:${address.port}`);
+      }
+      // Outside the promise chain, so that an exception from a listener or
+      // the callback is not taken for a failure to start
+      process.nextTick(() => { this.emit('listening', address); });
+      return this._notify('ssdp:alive');
+    }).then(() => {
+      this._scheduleRepeat();
+      if (callback) {
+        process.nextTick(() => { callback(null); });
+      }
+    }, (err) => {
+      this._close();
+      process.nextTick(() => {
+        this._emitError(err);
+        if (callback) {
+          callback(err);
+        }
+      });
+    });
+  }
+
+  /**
+   * Stops advertising, sending byebye messages first.
+   *
+   * @param callback {Function} Called when the sockets are closed, if given.
+   */
+  stop(callback) {
+    if (!this._socket) {
+      if (callback) {
+        callback(null);
+      }
+      return;
+    }
+    clearTimeout(this._repeatTimer);
+    this._repeatTimer = null;
+    this._replyTimers.forEach((timer) => { clearTimeout(timer); });
+    this._replyTimers.clear();
+    this._notify('ssdp:byebye').then(() => {
+      this._close();
+      if (callback) {
+        callback(null);
+      }
+    }, (err) => {
+      this._close();
+      if (callback) {
+        callback(err);
+      }
+    });
+  }
+
+  /**
+   * Sends a NOTIFY for every advertisement out of every interface.
+   *
+   * @param nts {String} ssdp:alive or ssdp:byebye.
+   * @returns {Promise} Resolves when the messages have been sent.
+   * @private
+   */
+  _notify(nts) {
+    const host = `${this._multicastAddress}:${this._port}`;
+    const messages = this._advertisements.map((pair) => {
+      const headers = [['HOST', host]];
+      if (nts === 'ssdp:alive') {
+        headers.push(['CACHE-CONTROL', `max-age=${this._maxAge}`]);
+        headers.push(['LOCATION', this._location]);
+      }
+      headers.push(['NT', pair.nt], ['NTS', nts]);
+      if (nts === 'ssdp:alive') {
+        headers.push(['SERVER', this._server]);
+      }
+      headers.push(['USN', pair.usn],
+          ['BOOTID.UPNP.ORG', this._bootId], ['CONFIGID.UPNP.ORG', this._configId]);
+      return formatMessage('NOTIFY * HTTP/1.1', headers);
+    });
+    const sends = [];
+    this._sendSockets.forEach((socket) => {
+      messages.forEach((message) => {
+        sends.push(send(socket, message, this._port, this._multicastAddress));
+      });
+    });
+    return Promise.all(sends);
+  }
+
+  /**
+   * Sends the alive messages again at a random time before half of
+   * max-age has passed, as the spec asks.
+   *
+   * @private
+   */
+  _scheduleRepeat() {
+    const half = (this._maxAge * 1000) / 2;
+    const delay = Math.floor((half / 2) + (Math.random() * (half / 2)));
+    this._repeatTimer = setTimeout(() => {
+      this._notify('ssdp:alive').catch((err) => { this._emitError(err); });
+      this._scheduleRepeat();
+    }, delay);
+    this._repeatTimer.unref();
+  }
+
+  /**
+   * Answers an M-SEARCH request, if it is valid and matches an
+   * advertisement, after a random delay within its MX.  A unicast
+   * request, one whose HOST is not the multicast group, has no MX and is
+   * answered at once.  A multicast request without a valid MX is ignored,
+   * as the spec asks.
+   *
+   * @param message {DiscoveryMessage} The request.
+   * @private
+   */
+  _answer(message) {
+    const man = message.MAN0;
+    const st = message.ST0;
+    if (!man || man.value.replace(/"/g, '') !== 'ssdp:discover' || !st || !st.value) {
+      return;
+    }
+    const matches = answers(this._advertisements, st.value);
+    if (matches.length === 0) {
+      return;
+    }
+    const host = message.HOST0 ? message.HOST0.value.trim() : '';
+    const isUnicast = !!host && host.replace(/:\d+$/, '') !== this._multicastAddress;
+    let mx = 0;
+    if (!isUnicast) {
+      mx = message.MX0 ? parseInt(message.MX0.value, 10) : NaN;
+      if (isNaN(mx) || mx < 1) {
+        return;
+      }
+    }
+    const delay = Math.floor(Math.random() * Math.min(mx, 5) * 1000);
+    const timer = setTimeout(() => {
+      this._replyTimers.delete(timer);
+      const date = new Date().toUTCString();
+      matches.forEach((match) => {
+        const response = formatMessage('HTTP/1.1 200 OK', [
+          ['CACHE-CONTROL', `max-age=${this._maxAge}`],
+          ['DATE', date],
+          ['EXT', ''],
+          ['LOCATION', this._location],
+          ['SERVER', this._server],
+          ['ST', match.st],
+          ['USN', match.usn],
+          ['BOOTID.UPNP.ORG', this._bootId],
+          ['CONFIGID.UPNP.ORG', this._configId]
+        ]);
+        send(this._socket, response, message.remoteAddress.port,
+            message.remoteAddress.address).catch((err) => { this._emitError(err); });
+      });
+    }, delay);
+    this._replyTimers.add(timer);
+  }
+
+  /**
+   * Binds a socket.  Errors after binding are emitted by the advertiser.
+   *
+   * @param socket {Socket} The socket.
+   * @param port {Number} The port, 0 for an ephemeral port.
+   * @param address {String} The address, or undefined for all.
+   * @returns {Promise} Resolves when the socket is listening.
+   * @private
+   */
+  _bind(socket, port, address) {
+    return new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      socket.bind(port, address, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (err) => { this._emitError(err); });
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Closes the sockets.
+   *
+   * @private
+   */
+  _close() {
+    [this._socket].concat(this._sendSockets).forEach((socket) => {
+      try {
+        socket.close();
+      } catch (err) {
+        // already closed
+      }
+    });
+    this._socket = null;
+    this._sendSockets = [];
+  }
+
+  /**
+   * Emits an error, if anyone is listening for errors.
+   *
+   * @param err {Error} The error.
+   * @private
+   */
+  _emitError(err) {
+    if (this.listenerCount('error')) {
+      this.emit('error', err);
+    }
+  }
+}
+
+module.exports.SsdpAdvertiser = SsdpAdvertiser;
+module.exports.advertisements = advertisements;
+module.exports.answers = answers;
@@ -0,0 +1,24 @@
+/**
+ * Callbacks for Promise APIs
+ *
+ * The public asynchronous methods return a Promise and also take an
+ * optional Node-style callback.
+ */
+
+'use strict';
+
+/**
+ * Settles a promise to an optional Node-style callback.
+ *
+ * @param promise {Promise} The promise.
+ * @param callback {Function} Receives (err, result), if present.
+ * @returns {Promise} The same promise.
+ */
+function withCallback(promise, callback) {
+  if (callback) {
+    promise.then((result) => { callback(null, result); }, (err) => { callback(err); });
+  }
+  return promise;
+}
+
+module.exports.withCallback = withCallback;
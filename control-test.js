@@ -6,17 +6,15 @@
 
 'use strict';
 
-const os = require('os');
-const url = require('url');
 const util = require('util');
-const request = require('request');
 const DiscoveryService = require('./discovery').DiscoveryService;
+const discover = require('./search').discover;
 const findDeviceServices = require('./description').findDeviceServices;
+const AVTransportControl = require('./control').AVTransportControl;
+const ConnectionManagerControl = require('./control').ConnectionManagerControl;
 const ContentDirectoryControl = require('./control').ContentDirectoryControl;
-const parseObjectFromXml = require('./simplexml').parseObjectFromXml;
-
-const PRODUCT = 'node-upnp';
-const PRODUCT_VERSION = '1.0';
+const RenderingControl = require('./control').RenderingControl;
+const ServiceControl = require('./control').ServiceControl;
 
 /**
  * Inspect an object using our default depth
@@ -27,23 +25,6 @@ function inspect(o) {
   return util.inspect(o, { depth: 8 });
 }
 
-/**
- * Get the service control protocol description (SCPD).
- */
-function getSCPD(uri, callback) {
-  const options = {
-    uri: uri,
-    method: 'GET',
-    headers: {
-      'user-agent': `${os.platform()}/${os.release()} UPnP/1.1 ${PRODUCT}/${PRODUCT_VERSION}`
-    }
-  };
-
-  request(options, (err, response, body) => {
-    callback(err, response, body);
-  });
-}
-
 /**
  * Gets a media server content directory service for a device friendly name.
  *
@@ -59,70 +40,178 @@ function getContentDirectoryService(discoveryService, friendlyDeviceName, callba
       console.log(`discovery service error:\n${err.stack}`);
     } else {
       console.log(`discovery service listening ${address.address}:${address.port}`);
-      console.log('start search in 5 seconds');
-      setTimeout(discoveryService.startSearch.bind(discoveryService), 5000, 'ssdp:all', (err2) => {
-        if (err2) {
-          console.log(`search error:\n${err2.stack}`);
-        } else {
-          console.log('search sent');
-          console.log('print results in 5 seconds');
-          setTimeout(() => {
-            console.log('content of discovery message store');
-            console.log(inspect(discoveryService.messageStore));
-            findDeviceServices(discoveryService, 'urn:schemas-upnp-org:device:MediaServer:1',
-                'urn:schemas-upnp-org:service:ContentDirectory:1', (errors, services) => {
-                  let errorForCallback = null;
-                  errors.forEach((error) => {
-                    console.log(inspect(error));
-                    errorForCallback = error;
-                  });
-                  let contentDirectoryService = null;
-                  services.forEach((service) => {
-                    if (service.friendlyName === friendlyDeviceName) {
-                      contentDirectoryService = service;
-                      errorForCallback = null;
-                    }
-                    console.log(inspect(service));
-                  });
-                  callback(errorForCallback, contentDirectoryService);
-                });
-          }, 5000);
-        }
+      discover({ service: discoveryService, retries: 1 }).then(() => {
+        console.log('content of discovery message store');
+        console.log(inspect(discoveryService.messageStore));
+        findDeviceServices(discoveryService, 'urn:schemas-upnp-org:device:MediaServer:1',
+            'urn:schemas-upnp-org:service:ContentDirectory:1', (errors, services) => {
+              let errorForCallback = null;
+              errors.forEach((error) => {
+                console.log(inspect(error));
+                errorForCallback = error;
+              });
+              let contentDirectoryService = null;
+              services.forEach((service) => {
+                if (service.friendlyDeviceName === friendlyDeviceName) {
+                  contentDirectoryService = service;
+                  errorForCallback = null;
+                }
+                console.log(inspect(service));
+              });
+              callback(errorForCallback, contentDirectoryService);
+            });
+      }, (err2) => {
+        console.log(`search error:\n${err2.stack}`);
       });
     }
   });
 }
 
+/**
+ * Reads the transport state of the first media renderer found.
+ *
+ * @param {Object} discoveryService The discovery service, already searched.
+ */
+function controlMediaRenderer(discoveryService) {
+  findDeviceServices(discoveryService, 'urn:schemas-upnp-org:device:MediaRenderer:1',
+      'urn:schemas-upnp-org:service:AVTransport:1', (errors, services) => {
+        errors.forEach((error) => {
+          console.log(inspect(error));
+        });
+        if (!services.length) {
+          console.log('No media renderer found');
+          return;
+        }
+        console.log(`media renderer ${services[0].friendlyDeviceName}`);
+        const avTransport = new AVTransportControl(services[0].service.controlURL);
+        // Durations and times come back in seconds
+        avTransport.getMediaInfo()
+            .then((mediaInfo) => {
+              console.log(inspect(mediaInfo));
+              return avTransport.getTransportInfo();
+            })
+            .then((transportInfo) => {
+              console.log(inspect(transportInfo));
+              return avTransport.getPositionInfo();
+            })
+            .then((positionInfo) => {
+              console.log(inspect(positionInfo));
+              return avTransport.getCurrentTransportActions();
+            })
+            .then((actions) => {
+              console.log(inspect(actions));
+            })
+            .catch((err) => {
+              console.log(inspect(err));
+            });
+      });
+}
+
+/**
+ * Reads the volume settings of the first media renderer found.
+ *
+ * @param {Object} discoveryService The discovery service, already searched.
+ */
+function readRendererVolume(discoveryService) {
+  findDeviceServices(discoveryService, 'urn:schemas-upnp-org:device:MediaRenderer:1',
+      'urn:schemas-upnp-org:service:RenderingControl:1', (errors, services) => {
+        errors.forEach((error) => {
+          console.log(inspect(error));
+        });
+        if (!services.length) {
+          console.log('No media renderer found');
+          return;
+        }
+        RenderingControl.create(services[0])
+            .then((renderingControl) => {
+              return Promise.all([
+                renderingControl.getVolume(),
+                renderingControl.getMute(),
+                renderingControl.listPresets(),
+                // VolumeDB is optional, so this may fail with UPnP error 401
+                renderingControl.getVolumeDBRange().catch((err) => { return err; })
+              ]);
+            })
+            .then((results) => {
+              console.log(inspect(results));
+            })
+            .catch((err) => {
+              console.log(inspect(err));
+            });
+      });
+}
+
+/**
+ * Reads the connections of the first media renderer found and what it
+ * can play.
+ *
+ * @param {Object} discoveryService The discovery service, already searched.
+ */
+function readRendererConnections(discoveryService) {
+  findDeviceServices(discoveryService, 'urn:schemas-upnp-org:device:MediaRenderer:1',
+      'urn:schemas-upnp-org:service:ConnectionManager:1', (errors, services) => {
+        errors.forEach((error) => {
+          console.log(inspect(error));
+        });
+        if (!services.length) {
+          console.log('No media renderer found');
+          return;
+        }
+        const connectionManager = new ConnectionManagerControl(services[0].service.controlURL);
+        connectionManager.getProtocolInfo()
+            .then((protocolInfo) => {
+              // Each sink is a ProtocolInfo, with any DLNA profile and flags parsed
+              protocolInfo.Sink.forEach((sink) => {
+                console.log(`${sink.profileName || sink.contentFormat} flags ${sink.flags}`);
+              });
+              return connectionManager.getCurrentConnectionIDs();
+            })
+            .then((connectionIds) => {
+              console.log(inspect(connectionIds));
+              return connectionManager.getCurrentConnectionInfo(connectionIds[0] || 0);
+            })
+            .then((connectionInfo) => {
+              console.log(inspect(connectionInfo));
+            })
+            .catch((err) => {
+              console.log(inspect(err));
+            });
+      });
+}
+
 const discoveryService = new DiscoveryService();
 
 getContentDirectoryService(discoveryService, 'MyCloudEX2Ultra', (err, service) => {
+  controlMediaRenderer(discoveryService);
+  readRendererVolume(discoveryService);
+  readRendererConnections(discoveryService);
   if (err) {
     console.log(inspect(err));
   } else if (service) {
-    const uri = url.resolve(service.location, service.service.SCPDURL);
-    getSCPD(uri, (err2, response, body) => {
+    ServiceControl.create(service, (err2, serviceControl) => {
       if (err2) {
         console.log(inspect(err2));
-      } else if (response.statusCode !== 200) {
-        console.log(inspect(`statusCode: ${response.statusCode} body: ${body}`));
       } else {
-        // I should use the SCPD (service control point description?) to
-        // determine which optional features are available, but that
-        // probably won't happen since I mainly want to be able to pull
-        // metadata and audio from a particular device I own.
-        console.log(inspect(parseObjectFromXml(body)));
+        // The SCPD tells us which optional actions are available
+        console.log(inspect(serviceControl.actionNames));
 
-        // TODO: per p.67 of the device arch spec, controlURL can be fully qualified
-        // Use URLBase of device description, (if present, although the 1.1 spec
-        // deprecates its use), before using
-        // the device description URL as the base
-        const uri2 = url.resolve(service.location, service.service.controlURL);
-        const control = new ContentDirectoryControl(uri2);
-        // TODO: these should be callback
-        control.browseObject('0');
-        control.browseObject('music');
-        control.browseObject('music/artistAlbum');
-        control.searchContainer('0$1$16$4536');
+        // The controlURL is already resolved against URLBase or the location
+        const control = new ContentDirectoryControl(service.service.controlURL);
+        const printResult = (err3, result) => {
+          if (err3) {
+            console.log(inspect(err3));
+          } else {
+            console.log(inspect(result));
+          }
+        };
+        control.browseObject('0', printResult);
+        control.browseObject('music', printResult);
+        control.browseObject('music/artistAlbum', printResult);
+        if (serviceControl.serviceDescription.hasAction('Search')) {
+          control.searchContainer('0$1$16$4536', printResult);
+        } else {
+          console.log('Search is not supported');
+        }
       }
     });
   } else {
@@ -10,136 +10,351 @@
 'use strict';
 
 const os = require('os');
-const util = require('util');
+const url = require('url');
 const request = require('request');
 const DOMParser = require('xmldom').DOMParser;
+const DidlLite = require('./didl').DidlLite;
+const parseDidlLite = require('./didl').parseDidlLite;
+const ProtocolInfo = require('./protocolinfo').ProtocolInfo;
+const parseProtocolInfoList = require('./protocolinfo').parseProtocolInfoList;
 const parseObjectFromElement = require('./simplexml').parseObjectFromElement;
-const parseObjectFromXml = require('./simplexml').parseObjectFromXml;
+const escapeXml = require('./simplexml').escapeXml;
+const getServiceDescription = require('./description').getServiceDescription;
+const formatValue = require('./datatypes').formatValue;
+const parseValue = require('./datatypes').parseValue;
+const validateValue = require('./datatypes').validateValue;
+const withCallback = require('./callback').withCallback;
 
 const PRODUCT = 'node-upnp';
 const PRODUCT_VERSION = '1.0';
 
+const CONTENT_DIRECTORY_SERVICE_TYPE = 'urn:schemas-upnp-org:service:ContentDirectory:1';
+const AV_TRANSPORT_SERVICE_TYPE = 'urn:schemas-upnp-org:service:AVTransport:1';
+const RENDERING_CONTROL_SERVICE_TYPE = 'urn:schemas-upnp-org:service:RenderingControl:1';
+const CONNECTION_MANAGER_SERVICE_TYPE = 'urn:schemas-upnp-org:service:ConnectionManager:1';
+const DEFAULT_PAGE_SIZE = 100;
+
 /**
- * Inspect an object using our default depth
+ * Converts a duration or time position, such as TrackDuration or RelTime,
+ * to seconds.  The format is H+:MM:SS[.F+] or H+:MM:SS[.F0/F1].
  *
- * @param {Object} o
+ * @param {String} text The duration.
+ * @returns {Number} The seconds, or undefined for NOT_IMPLEMENTED or
+ * anything else that is not a duration.
  */
-function inspect(o) {
-  return util.inspect(o, { depth: 8 });
+function parseDuration(text) {
+  const match = /^([+-]?)(\d+):(\d{1,2}):(\d{1,2})(?:\.(\d+)(?:\/(\d+))?)?$/
+      .exec((text || '').trim());
+  if (!match) {
+    return undefined;
+  }
+  let seconds = (parseInt(match[2], 10) * 3600) + (parseInt(match[3], 10) * 60) +
+    parseInt(match[4], 10);
+  if (match[6]) {
+    seconds += parseInt(match[5], 10) / parseInt(match[6], 10);
+  } else if (match[5]) {
+    seconds += parseFloat(`0.${match[5]}`);
+  }
+  return match[1] === '-' ? -seconds : seconds;
 }
 
 /**
- * Controls the content directory service of a device.
+ * Formats seconds as a duration, H+:MM:SS[.F+], for a REL_TIME or ABS_TIME
+ * seek.
+ *
+ * @param {Number} seconds The seconds, to the millisecond.
+ * @returns {String} The duration.
+ */
+function formatDuration(seconds) {
+  const millis = Math.round(Math.abs(seconds) * 1000);
+  const whole = Math.floor(millis / 1000);
+  const pad = (n) => { return n < 10 ? `0${n}` : `${n}`; };
+  // The milliseconds without trailing zeros, so 1.5 seconds is 0:00:01.5
+  const fraction = millis % 1000 ?
+    `.${String(1000 + (millis % 1000)).slice(1).replace(/0+$/, '')}` : '';
+  return `${seconds < 0 ? '-' : ''}${Math.floor(whole / 3600)}:` +
+    `${pad(Math.floor(whole / 60) % 60)}:${pad(whole % 60)}${fraction}`;
+}
+
+/**
+ * Prepends InstanceID to the input parameters of an action of an AV
+ * service, such as AVTransport or RenderingControl.
+ *
+ * @param {Number} instanceId The InstanceID.
+ * @param {Array} params The other input parameters.
+ * @returns {Array} The input parameters.
+ */
+function instanceParams(instanceId, params) {
+  return [{ name: 'InstanceID', value: instanceId, type: 'ui4' }].concat(params);
+}
+
+/**
+ * Checks a value against the allowedValueList or allowedValueRange of
+ * its state variable.
+ *
+ * @param {StateVariable} stateVariable The state variable.
+ * @param {*} value The value.
+ * @returns {String} Why the value is not allowed, or undefined if it is.
+ */
+function checkAllowedValue(stateVariable, value) {
+  const list = stateVariable.allowedValueList;
+  if (list && list.indexOf(String(value)) === -1) {
+    return `${value} is not one of ${list.join(', ')}`;
+  }
+  const range = stateVariable.allowedValueRange;
+  if (range) {
+    const n = Number(value);
+    if (n < range.minimum || n > range.maximum) {
+      return `${value} is outside the range ${range.minimum} to ${range.maximum}`;
+    }
+    const steps = range.step ? (n - range.minimum) / range.step : 0;
+    if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+      return `${value} is not a step of ${range.step} from ${range.minimum}`;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parses metadata, such as CurrentURIMetaData, as DIDL-Lite.
+ *
+ * @param {String} text The metadata.
+ * @returns {DidlLite} The metadata, or null when there is none or it is
+ * not DIDL-Lite.
+ */
+function parseMetadata(text) {
+  if (!text || typeof text !== 'string' || text === 'NOT_IMPLEMENTED') {
+    return null;
+  }
+  try {
+    return parseDidlLite(text);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Serializes metadata to send, such as CurrentURIMetaData.
+ *
+ * @param {DidlLite|DidlObject|String} metadata The metadata, if any.
+ * @returns {String} The DIDL-Lite XML, or empty.
+ */
+function serializeMetadata(metadata) {
+  if (!metadata) {
+    return '';
+  }
+  if (typeof metadata === 'string') {
+    return metadata;
+  }
+  return metadata instanceof DidlLite ? metadata.toXml() : metadata.toDidlLite();
+}
+
+/**
+ * The names of the error codes defined by the device architecture for
+ * all actions.
+ */
+const ARCHITECTURE_ERRORS = {
+  401: 'Invalid Action',
+  402: 'Invalid Args',
+  403: 'Out of Sync',
+  501: 'Action Failed',
+  600: 'Argument Value Invalid',
+  601: 'Argument Value Out of Range',
+  602: 'Optional Action Not Implemented',
+  603: 'Out of Memory',
+  604: 'Human Intervention Required',
+  605: 'String Argument Too Long',
+  606: 'Action not authorized',
+  607: 'Signature failure',
+  608: 'Signature missing',
+  609: 'Not encrypted',
+  610: 'Invalid sequence',
+  611: 'Invalid control URL',
+  612: 'No such session'
+};
+
+/**
+ * The names of the error codes defined by each service, keyed by the
+ * service name from the service type.  These overlap, since each service
+ * numbers its errors from 701.
+ */
+const SERVICE_ERRORS = {
+  ContentDirectory: {
+    701: 'No such object',
+    702: 'Invalid CurrentTagValue',
+    703: 'Invalid NewTagValue',
+    704: 'Required tag',
+    705: 'Read only tag',
+    706: 'Parameter Mismatch',
+    708: 'Unsupported or invalid search criteria',
+    709: 'Unsupported or invalid sort criteria',
+    710: 'No such container',
+    711: 'Restricted object',
+    712: 'Bad metadata',
+    713: 'Restricted parent object',
+    714: 'No such source resource',
+    715: 'Source resource access denied',
+    716: 'Transfer busy',
+    717: 'No such file transfer',
+    718: 'No such destination resource',
+    719: 'Destination resource access denied',
+    720: 'Cannot process the request'
+  },
+  AVTransport: {
+    701: 'Transition not available',
+    702: 'No contents',
+    703: 'Read error',
+    704: 'Format not supported for playback',
+    705: 'Transport is locked',
+    706: 'Write error',
+    707: 'Media is protected or not writable',
+    708: 'Format not supported for recording',
+    709: 'Media is full',
+    710: 'Seek mode not supported',
+    711: 'Illegal seek target',
+    712: 'Play mode not supported',
+    713: 'Record quality not supported',
+    714: 'Illegal MIME-type',
+    715: 'Content \'BUSY\'',
+    716: 'Resource not found',
+    717: 'Play speed not supported',
+    718: 'Invalid InstanceID'
+  },
+  RenderingControl: {
+    701: 'Invalid Name',
+    702: 'Invalid InstanceID'
+  },
+  ConnectionManager: {
+    701: 'Incompatible protocol info',
+    702: 'Incompatible directions',
+    703: 'Insufficient network resources',
+    704: 'Local restrictions',
+    705: 'Access denied',
+    706: 'Invalid connection reference',
+    707: 'Not in network'
+  }
+};
+
+/**
+ * An error returned by a service as a SOAP Fault with UPnPError detail.
  *
- * TODO: public methods should use callback
+ * Branch on code, which is the errorCode as a Number.  codeName is the
+ * standard name of the code for the architecture or the service, if it
+ * is one we know; description is whatever the device said.
  */
-class ContentDirectoryControl {
+class UPnPError extends Error {
   /**
-   * Constructor that takes the URI of the service.
+   * Creates the error.
    *
-   * @param {String} uri The URI of the service.
+   * @param {Number} code The errorCode.
+   * @param {String} description The errorDescription, if any.
+   * @param {String} actionName The action that failed.
+   * @param {String} serviceType The service type of the action.
    */
-  constructor(uri) {
-    this._uri = uri;
-    this._userAgent = `${os.platform()}/${os.release()} UPnP/1.1 ${PRODUCT}/${PRODUCT_VERSION}`;
+  constructor(code, description, actionName, serviceType) {
+    const codeName = UPnPError.codeName(code, serviceType);
+    super(`${actionName} failed with UPnP error ${code}` +
+      `${codeName ? ` (${codeName})` : ''}${description ? `: ${description}` : ''}`);
+    this.name = 'UPnPError';
+    this.code = code;
+    this.codeName = codeName;
+    this.description = description;
+    this.actionName = actionName;
+    this.serviceType = serviceType;
   }
 
   /**
-   * Gets the sort capabilities of the service.
+   * Gets the standard name of an error code.
    *
-   * Currently, the response is simply logged to the console.
+   * @param {Number} code The errorCode.
+   * @param {String} serviceType The service type, for codes from 700.
+   * @returns {String} The name or undefined if we do not know it.
    */
-  getSortCapabilities() {
-    const params = [];
-
-    this._soapCall('urn:schemas-upnp-org:service:ContentDirectory:1#GetSortCapabilities',
-        'GetSortCapabilities', 'urn:schemas-upnp-org:service:ContentDirectory:1',
-        params, (err, response, doc) => {
-          if (err) {
-            console.error(`Error in call: ${err}`);
-          } else if (response.statusCode !== 200) {
-            console.log(`Response status code not 200: ${response.statusCode}`);
-            if (doc) {
-              console.log(inspect(doc));
-            }
-          } else {
-            console.log(inspect(doc));
-          }
-        });
+  static codeName(code, serviceType) {
+    if (ARCHITECTURE_ERRORS[code]) {
+      return ARCHITECTURE_ERRORS[code];
+    }
+    const serviceName = (serviceType || '').split(':')[3];
+    const serviceErrors = SERVICE_ERRORS[serviceName] || {};
+    return serviceErrors[code];
   }
 
   /**
-   * Browses an object.
+   * Factory that creates the error from a SOAP Fault element.  Faults
+   * without UPnPError detail become errorCode 501 (Action Failed) with the
+   * faultstring as the description.
    *
-   * @param {String} objectId
+   * @param {Element} fault The Fault element.
+   * @param {String} actionName The action that failed.
+   * @param {String} serviceType The service type of the action.
+   * @returns {UPnPError} The error.
+   */
+  static fromFault(fault, actionName, serviceType) {
+    // Some devices leave UPnPError out of its namespace, so match on local name
+    const text = (localName) => {
+      const elements = fault.getElementsByTagNameNS('*', localName);
+      return elements.length ? elements.item(0).textContent.trim() : undefined;
+    };
+    const errorCode = parseInt(text('errorCode'), 10);
+    if (isNaN(errorCode)) {
+      return new UPnPError(501, text('faultstring'), actionName, serviceType);
+    }
+    return new UPnPError(errorCode, text('errorDescription'), actionName, serviceType);
+  }
+}
+
+/**
+ * The SOAP plumbing shared by the controls of each service type.
+ */
+class SoapControl {
+  /**
+   * Constructor that takes the URI and type of the service.
    *
-   * Currently, the response is simply logged to the console.
+   * @param {String} uri The URI of the service (its controlURL).
+   * @param {String} serviceType The service type, which is also the SOAP method namespace.
    */
-  browseObject(objectId) {
-    const params = [
-      { name: 'ObjectID', value: objectId },
-      { name: 'BrowseFlag', value: 'BrowseDirectChildren' },
-      { name: 'Filter', value: '*' },
-      { name: 'StartingIndex', value: 0 },
-      { name: 'RequestedCount', value: 100 },
-      { name: 'SortCriteria', value: '' }
-    ];
+  constructor(uri, serviceType) {
+    this._uri = uri;
+    this._serviceType = serviceType;
+    this._userAgent = `${os.platform()}/${os.release()} UPnP/1.1 ${PRODUCT}/${PRODUCT_VERSION}`;
+  }
 
-    this._soapCall('urn:schemas-upnp-org:service:ContentDirectory:1#Browse', 'Browse',
-        'urn:schemas-upnp-org:service:ContentDirectory:1',
-        params, (err, response, soapResponse) => {
-          if (err) {
-            console.error(`Error in call: ${err}`);
-          } else if (response.statusCode !== 200) {
-            console.log(`Response status code not 200: ${response.statusCode}`);
-            if (soapResponse) {
-              console.log(inspect(soapResponse));
-            }
-          } else {
-            let result = null;
-            if (soapResponse.Result) {
-              result = parseObjectFromXml(soapResponse.Result);
-            }
-            console.log(inspect(result));
-          }
-        });
+  get serviceType() {
+    return this._serviceType;
+  }
+
+  get uri() {
+    return this._uri;
   }
 
   /**
-   * Searches a container.
-   *
-   * @param {String} containerId
+   * Calls an action of the service.
    *
-   * Currently, the response is simply logged to the console.
+   * @param {String} methodName The action name.
+   * @param {Array} params The input parameters.
+   * @returns {Promise} Resolves to the parsed response element, which is
+   * an empty object if the action has no output arguments; rejects with a
+   * UPnPError if the service returns a SOAP Fault.
+   * @private
    */
-  searchContainer(containerId) {
-    const params = [
-      { name: 'ContainerID', value: containerId },
-      { name: 'SearchCriteria', value: '*' },
-      { name: 'Filter', value: '*' },
-      { name: 'StartingIndex', value: 0 },
-      { name: 'RequestedCount', value: 100 },
-      { name: 'SortCriteria', value: '' }
-    ];
-
-    this._soapCall('urn:schemas-upnp-org:service:ContentDirectory:1#Search', 'Search',
-        'urn:schemas-upnp-org:service:ContentDirectory:1',
-        params, (err, response, soapResponse) => {
-          if (err) {
-            console.error(`Error in call: ${err}`);
-          } else if (response.statusCode !== 200) {
-            console.log(`Response status code not 200: ${response.statusCode}`);
-            if (soapResponse) {
-              console.log(soapResponse);
-            }
-          } else {
-            let result = null;
-            if (soapResponse.Result) {
-              result = parseObjectFromXml(soapResponse.Result);
+  _call(methodName, params) {
+    return new Promise((resolve, reject) => {
+      this._soapCall(`${this._serviceType}#${methodName}`, methodName,
+          this._serviceType, params, (err, response, soapResponse) => {
+            if (err) {
+              reject(err);
+            } else if (soapResponse instanceof UPnPError) {
+              reject(soapResponse);
+            } else if (response.statusCode !== 200) {
+              reject(new Error(`Response status code not 200: ${response.statusCode}`));
+            } else if (soapResponse === undefined) {
+              reject(new Error(`No ${methodName}Response in the response`));
+            } else {
+              // The response element of an action without output arguments is empty
+              resolve(typeof soapResponse === 'object' ? soapResponse : {});
             }
-            console.log(inspect(result));
-          }
-        });
+          });
+    });
   }
 
   /**
@@ -148,24 +363,25 @@ class ContentDirectoryControl {
    * @param {String} soapAction The SOAP-Action header value.
    * @param {String} methodName The SOAP method name.
    * @param {String} methodNs The SOAP method namespace.
-   * @param {Array} params The input parameters.
+   * @param {Array} params The input parameters, each with name, value and
+   * optionally the UPnP data type (e.g. ui4) of the value.
    * @param {Function} callback The callback to receive the result.
    */
   _soapCall(soapAction, methodName, methodNs, params, callback) {
     const paramsElements = params.map((param) => {
-      return `<${param.name}>${param.value}</${param.name}>`;
-    }).join('\n');
-
-    const body = '<?xml version="1.0"?>\n' +
-      '<s:Envelope\n' +
-      'xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"\n' +
-      's:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">\n' +
-      '<s:Body>\n' +
-      `<u:${methodName} xmlns:u="${methodNs}">\n` +
-      paramsElements +
-      `</u:${methodName}>\n` +
-      '</s:Body>\n' +
-      '</s:Envelope>';
+      const value = escapeXml(formatValue(param.type, param.value));
+      return `<${param.name}>${value}</${param.name}>\n`;
+    }).join('');
+
+    const body = `<?xml version="1.0"?>
+<s:Envelope
+xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"
+s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">
+<s:Body>
+<u:${methodName} xmlns:u="${methodNs}">
+${paramsElements}</u:${methodName}>
+</s:Body>
+</s:Envelope>`;
 
     const options = {
       uri: this._uri,
@@ -182,9 +398,10 @@ class ContentDirectoryControl {
       if (err) {
         callback(err, response, responseBody);
       } else if (responseBody) {
-        callback(err, response, this._parseBody(responseBody, methodName, methodNs));
+        callback(err, response,
+            SoapControl._parseBody(responseBody, methodName, methodNs));
       } else {
-        callback(err, response, responseBody);
+        callback(err, response, undefined);
       }
     });
   }
@@ -195,29 +412,1139 @@ class ContentDirectoryControl {
    * @param {String} body The body of the SOAP response.
    * @param {String} methodName The SOAP method name.
    * @param {String} methodNs The SOAP method namespace.
+   * @returns {Object} The parsed response element, a UPnPError for a
+   * Fault, or undefined if it is neither.
    */
   static _parseBody(body, methodName, methodNs) {
     const doc = new DOMParser().parseFromString(body, 'text/xml');
+    if (!doc.documentElement) {
+      return undefined;
+    }
     const bodies = doc.documentElement.getElementsByTagNameNS(
         'http://schemas.xmlsoap.org/soap/envelope/', 'Body');
     if (bodies.length !== 1) {
-      return body;
+      return undefined;
     }
     const responses = bodies.item(0).getElementsByTagNameNS(methodNs, `${methodName}Response`);
     if (responses.length === 0) {
       const faults = bodies.item(0).getElementsByTagNameNS(
           'http://schemas.xmlsoap.org/soap/envelope/', 'Fault');
       if (faults.length !== 1) {
-        return body;
+        return undefined;
       }
-      return parseObjectFromElement(faults.item(0));
+      return UPnPError.fromFault(faults.item(0), methodName, methodNs);
     }
     if (responses.length !== 1) {
-      return body;
+      return undefined;
     }
 
     return parseObjectFromElement(responses.item(0));
   }
+
+  /**
+   * Splits a comma-separated capabilities string, such as SortCaps or
+   * CurrentTransportActions.
+   *
+   * @param {String} caps The capabilities string.
+   * @returns {Array} The capabilities.
+   * @private
+   */
+  static _splitCapabilities(caps) {
+    if (!caps || typeof caps !== 'string') {
+      return [];
+    }
+    return caps.split(',').map((cap) => { return cap.trim(); })
+        .filter((cap) => { return cap.length > 0; });
+  }
+}
+
+/**
+ * The results of a Browse or Search that may span several pages.  The
+ * pages are requested as the results are iterated, either with
+ * for await...of or with {@link toArray}.
+ *
+ * When TotalMatches is known, pages are requested until it is reached.
+ * Servers that report TotalMatches 0 do not know the count, so pages are
+ * requested until one comes back with fewer objects than requested.
+ */
+class PagedResults {
+  /**
+   * Creates the results.  Nothing is requested until the results are iterated.
+   *
+   * @param {Function} fetchPage Takes (startingIndex, requestedCount) and
+   * returns a Promise of a Browse or Search result.
+   * @param {Object} options Optional pageSize (default 100) and maxItems
+   * (default unlimited).
+   */
+  constructor(fetchPage, options) {
+    const opts = options || {};
+    this._fetchPage = fetchPage;
+    this._pageSize = opts.pageSize || DEFAULT_PAGE_SIZE;
+    this._maxItems = opts.maxItems === undefined ? Infinity : opts.maxItems;
+  }
+
+  /**
+   * Gets an iterator over the results.  Each iterator requests the
+   * pages anew.
+   *
+   * @returns {Object} The async iterator.
+   */
+  [Symbol.asyncIterator]() {
+    let buffer = [];
+    let index = 0;
+    let done = false;
+    let pending = Promise.resolve();
+
+    const nextPage = () => {
+      const requestedCount = Math.min(this._pageSize, this._maxItems - index);
+      return this._fetchPage(index, requestedCount).then((result) => {
+        const objects = result.Result.objects.slice(0, requestedCount);
+        index += objects.length;
+        buffer = objects;
+        // A short page is the last, whether or not TotalMatches is known
+        done = objects.length < requestedCount || result.NumberReturned < requestedCount ||
+          index >= this._maxItems || (result.TotalMatches > 0 && index >= result.TotalMatches);
+      });
+    };
+
+    const next = () => {
+      if (buffer.length) {
+        return Promise.resolve({ value: buffer.shift(), done: false });
+      }
+      if (done || index >= this._maxItems) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return nextPage().then(next);
+    };
+
+    return {
+      // Requests are chained so concurrent calls see the pages in order
+      next: () => {
+        pending = pending.then(next, next);
+        return pending;
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
+  /**
+   * Collects all the results.
+   *
+   * @param {Function} callback Receives the results as an Array.
+   * @returns {Promise} Resolves to the same Array.
+   */
+  toArray(callback) {
+    const iterator = this[Symbol.asyncIterator]();
+    const objects = [];
+    const collect = () => {
+      return iterator.next().then((step) => {
+        if (step.done) {
+          return objects;
+        }
+        objects.push(step.value);
+        return collect();
+      });
+    };
+    return withCallback(collect(), callback);
+  }
+}
+
+/**
+ * Controls the content directory service of a device.
+ *
+ * Public methods take an optional callback and also return a Promise.
+ */
+class ContentDirectoryControl extends SoapControl {
+  /**
+   * Constructor that takes the URI of the service.
+   *
+   * @param {String} uri The URI of the service.
+   */
+  constructor(uri) {
+    super(uri, CONTENT_DIRECTORY_SERVICE_TYPE);
+  }
+
+  /**
+   * Gets the sort capabilities of the service.
+   *
+   * @param {Function} callback Receives the property names that can be sorted on,
+   * e.g. ['dc:title', 'upnp:class'].
+   * @returns {Promise} Resolves to the same property names.
+   */
+  getSortCapabilities(callback) {
+    const promise = this._call('GetSortCapabilities', []).then((soapResponse) => {
+      return ContentDirectoryControl._splitCapabilities(soapResponse.SortCaps);
+    });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Browses the direct children of an object, one page at a time.
+   *
+   * The result has the parsed DIDL-Lite as Result, along with the
+   * NumberReturned, TotalMatches and UpdateID numbers.
+   *
+   * @param {String} objectId The ID of the object to browse.
+   * @param {Object} options Optional filter, sortCriteria, startingIndex
+   * (default 0) and requestedCount (default 100).
+   * @param {Function} callback Receives the result.
+   * @returns {Promise} Resolves to the result.
+   */
+  browseObject(objectId, options, callback) {
+    if (typeof options === 'function') {
+      return this.browseObject(objectId, {}, options);
+    }
+    const opts = ContentDirectoryControl._pageOptions(options);
+    const params = [
+      { name: 'ObjectID', value: objectId },
+      { name: 'BrowseFlag', value: 'BrowseDirectChildren' },
+      { name: 'Filter', value: opts.filter },
+      { name: 'StartingIndex', value: opts.startingIndex, type: 'ui4' },
+      { name: 'RequestedCount', value: opts.requestedCount, type: 'ui4' },
+      { name: 'SortCriteria', value: opts.sortCriteria }
+    ];
+
+    const promise = this._call('Browse', params).then(ContentDirectoryControl._parseResult);
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Browses all the direct children of an object, requesting further
+   * pages as the results are iterated.
+   *
+   * @param {String} objectId The ID of the object to browse.
+   * @param {Object} options Optional filter, sortCriteria, pageSize
+   * (default 100) and maxItems (default unlimited).
+   * @returns {PagedResults} The children as DidlObject.
+   */
+  browseAll(objectId, options) {
+    const opts = options || {};
+    return new PagedResults((startingIndex, requestedCount) => {
+      return this.browseObject(objectId,
+          Object.assign({}, opts, { startingIndex, requestedCount }));
+    }, opts);
+  }
+
+  /**
+   * Searches a container, one page at a time.
+   *
+   * The result is the same as for {@link browseObject}.
+   *
+   * @param {String} containerId The ID of the container to search.
+   * @param {Object} options Optional searchCriteria (default *) and the
+   * options of {@link browseObject}.
+   * @param {Function} callback Receives the result.
+   * @returns {Promise} Resolves to the result.
+   */
+  searchContainer(containerId, options, callback) {
+    if (typeof options === 'function') {
+      return this.searchContainer(containerId, {}, options);
+    }
+    const opts = ContentDirectoryControl._pageOptions(options);
+    const params = [
+      { name: 'ContainerID', value: containerId },
+      { name: 'SearchCriteria', value: opts.searchCriteria },
+      { name: 'Filter', value: opts.filter },
+      { name: 'StartingIndex', value: opts.startingIndex, type: 'ui4' },
+      { name: 'RequestedCount', value: opts.requestedCount, type: 'ui4' },
+      { name: 'SortCriteria', value: opts.sortCriteria }
+    ];
+
+    const promise = this._call('Search', params).then(ContentDirectoryControl._parseResult);
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Searches a container for all matches, requesting further pages as
+   * the results are iterated.
+   *
+   * @param {String} containerId The ID of the container to search.
+   * @param {Object} options Optional searchCriteria and the options of
+   * {@link browseAll}.
+   * @returns {PagedResults} The matches as DidlObject.
+   */
+  searchAll(containerId, options) {
+    const opts = options || {};
+    return new PagedResults((startingIndex, requestedCount) => {
+      return this.searchContainer(containerId,
+          Object.assign({}, opts, { startingIndex, requestedCount }));
+    }, opts);
+  }
+
+  /**
+   * Parses the response of a Browse or Search.
+   *
+   * @param {Object} soapResponse The parsed response element.
+   * @returns {Object} The result with Result parsed from DIDL-Lite.
+   * @private
+   */
+  static _parseResult(soapResponse) {
+    return {
+      Result: soapResponse.Result ? parseDidlLite(soapResponse.Result) : new DidlLite([]),
+      NumberReturned: parseInt(soapResponse.NumberReturned, 10),
+      TotalMatches: parseInt(soapResponse.TotalMatches, 10),
+      UpdateID: parseInt(soapResponse.UpdateID, 10)
+    };
+  }
+
+  /**
+   * Applies defaults to the options of a Browse or Search.
+   *
+   * @param {Object} options The options, if any.
+   * @returns {Object} The options with defaults.
+   * @private
+   */
+  static _pageOptions(options) {
+    return Object.assign({
+      searchCriteria: '*',
+      filter: '*',
+      startingIndex: 0,
+      requestedCount: DEFAULT_PAGE_SIZE,
+      sortCriteria: ''
+    }, options);
+  }
+}
+
+/**
+ * Controls the AVTransport service of a media renderer: what it plays and
+ * how it plays it.
+ *
+ * Each action is sent to one virtual instance of the service, which is
+ * InstanceID 0 unless ConnectionManager PrepareForConnection said
+ * otherwise.  Durations and positions in results are in seconds.
+ *
+ * Public methods take an optional callback and also return a Promise.
+ */
+class AVTransportControl extends SoapControl {
+  /**
+   * Constructor that takes the URI of the service.
+   *
+   * @param {String} uri The URI of the service.
+   * @param {Number} instanceId The InstanceID, by default 0.
+   * @param {String} serviceType The service type, by default AVTransport:1.
+   */
+  constructor(uri, instanceId, serviceType) {
+    super(uri, serviceType || AV_TRANSPORT_SERVICE_TYPE);
+    this._instanceId = instanceId || 0;
+  }
+
+  get instanceId() {
+    return this._instanceId;
+  }
+
+  /**
+   * Sets the resource to play, which stops the current one.
+   *
+   * @param {String} uri The URI of the resource, normally a res of the metadata.
+   * @param {DidlLite|DidlObject|String} metadata The DIDL-Lite metadata of
+   * the resource, if any.
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when set.
+   */
+  setAVTransportURI(uri, metadata, callback) {
+    if (typeof metadata === 'function') {
+      return this.setAVTransportURI(uri, null, metadata);
+    }
+    return this._action('SetAVTransportURI', [
+      { name: 'CurrentURI', value: uri },
+      { name: 'CurrentURIMetaData', value: serializeMetadata(metadata) }
+    ], callback);
+  }
+
+  /**
+   * Sets the resource to play when the current one ends, for gapless playback.
+   *
+   * @param {String} uri The URI of the resource.
+   * @param {DidlLite|DidlObject|String} metadata The DIDL-Lite metadata of
+   * the resource, if any.
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when set.
+   */
+  setNextAVTransportURI(uri, metadata, callback) {
+    if (typeof metadata === 'function') {
+      return this.setNextAVTransportURI(uri, null, metadata);
+    }
+    return this._action('SetNextAVTransportURI', [
+      { name: 'NextURI', value: uri },
+      { name: 'NextURIMetaData', value: serializeMetadata(metadata) }
+    ], callback);
+  }
+
+  /**
+   * Plays the current resource.
+   *
+   * @param {String} speed The TransportPlaySpeed, by default 1.
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when playing.
+   */
+  play(speed, callback) {
+    if (typeof speed === 'function') {
+      return this.play('1', speed);
+    }
+    return this._action('Play', [{ name: 'Speed', value: String(speed || '1') }], callback);
+  }
+
+  /**
+   * Pauses playback.
+   *
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when paused.
+   */
+  pause(callback) {
+    return this._action('Pause', [], callback);
+  }
+
+  /**
+   * Stops playback.
+   *
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when stopped.
+   */
+  stop(callback) {
+    return this._action('Stop', [], callback);
+  }
+
+  /**
+   * Seeks within the current resource.
+   *
+   * @param {String} unit The SeekMode, such as REL_TIME or TRACK_NR.
+   * @param {Number|String} target The position in seconds for the time
+   * units, the track number for TRACK_NR, or the target as the service
+   * expects it.
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when sought.
+   */
+  seek(unit, target, callback) {
+    const isTime = unit === 'REL_TIME' || unit === 'ABS_TIME';
+    const value = isTime && typeof target === 'number' ? formatDuration(target) : String(target);
+    return this._action('Seek', [
+      { name: 'Unit', value: unit },
+      { name: 'Target', value: value }
+    ], callback);
+  }
+
+  /**
+   * Skips to the next track.
+   *
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when skipped.
+   */
+  next(callback) {
+    return this._action('Next', [], callback);
+  }
+
+  /**
+   * Skips to the previous track.
+   *
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when skipped.
+   */
+  previous(callback) {
+    return this._action('Previous', [], callback);
+  }
+
+  /**
+   * Gets the state of the transport.
+   *
+   * @param {Function} callback Receives CurrentTransportState, such as
+   * PLAYING, CurrentTransportStatus and CurrentSpeed.
+   * @returns {Promise} Resolves to the same.
+   */
+  getTransportInfo(callback) {
+    const promise = this._call('GetTransportInfo', instanceParams(this._instanceId, []))
+        .then((soapResponse) => {
+          return {
+            CurrentTransportState: soapResponse.CurrentTransportState,
+            CurrentTransportStatus: soapResponse.CurrentTransportStatus,
+            CurrentSpeed: soapResponse.CurrentSpeed
+          };
+        });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Gets the position within the current track.
+   *
+   * @param {Function} callback Receives Track, TrackDuration,
+   * TrackMetaData as DidlLite, TrackURI, RelTime, AbsTime, RelCount and
+   * AbsCount.  Durations and times are in seconds, undefined if not
+   * implemented.
+   * @returns {Promise} Resolves to the same.
+   */
+  getPositionInfo(callback) {
+    const promise = this._call('GetPositionInfo', instanceParams(this._instanceId, []))
+        .then((soapResponse) => {
+          return {
+            Track: parseValue('ui4', soapResponse.Track),
+            TrackDuration: parseDuration(soapResponse.TrackDuration),
+            TrackMetaData: parseMetadata(soapResponse.TrackMetaData),
+            TrackURI: soapResponse.TrackURI,
+            RelTime: parseDuration(soapResponse.RelTime),
+            AbsTime: parseDuration(soapResponse.AbsTime),
+            RelCount: parseValue('i4', soapResponse.RelCount),
+            AbsCount: parseValue('i4', soapResponse.AbsCount)
+          };
+        });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Gets the current resource.
+   *
+   * @param {Function} callback Receives NrTracks, MediaDuration in
+   * seconds, CurrentURI, CurrentURIMetaData as DidlLite, NextURI,
+   * NextURIMetaData as DidlLite, PlayMedium, RecordMedium and WriteStatus.
+   * @returns {Promise} Resolves to the same.
+   */
+  getMediaInfo(callback) {
+    const promise = this._call('GetMediaInfo', instanceParams(this._instanceId, []))
+        .then((soapResponse) => {
+          return {
+            NrTracks: parseValue('ui4', soapResponse.NrTracks),
+            MediaDuration: parseDuration(soapResponse.MediaDuration),
+            CurrentURI: soapResponse.CurrentURI,
+            CurrentURIMetaData: parseMetadata(soapResponse.CurrentURIMetaData),
+            NextURI: soapResponse.NextURI,
+            NextURIMetaData: parseMetadata(soapResponse.NextURIMetaData),
+            PlayMedium: soapResponse.PlayMedium,
+            RecordMedium: soapResponse.RecordMedium,
+            WriteStatus: soapResponse.WriteStatus
+          };
+        });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Gets the actions that can be taken in the current state.
+   *
+   * @param {Function} callback Receives the actions, e.g. ['Play', 'Seek'].
+   * @returns {Promise} Resolves to the same actions.
+   */
+  getCurrentTransportActions(callback) {
+    const promise = this._call('GetCurrentTransportActions', instanceParams(this._instanceId, []))
+        .then((soapResponse) => {
+          return AVTransportControl._splitCapabilities(soapResponse.Actions);
+        });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Calls an action that has no results.
+   *
+   * @param {String} methodName The action name.
+   * @param {Array} params The input parameters after InstanceID.
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when done.
+   * @private
+   */
+  _action(methodName, params, callback) {
+    const promise = this._call(methodName, instanceParams(this._instanceId, params)).then(() => {});
+    return withCallback(promise, callback);
+  }
+}
+
+/**
+ * Controls the RenderingControl service of a media renderer: volume,
+ * mute and presets.
+ *
+ * Volume and mute are per channel, Master unless another channel such
+ * as LF or RF is given.  When the control has the service description
+ * (SCPD), values are checked against its allowed values before they are
+ * sent, which matters most for Volume since its maximum is up to the
+ * device.  Use {@link RenderingControl.create} to read the SCPD first.
+ *
+ * Public methods take an optional callback and also return a Promise.
+ */
+class RenderingControl extends SoapControl {
+  /**
+   * Constructor that takes the URI of the service.
+   *
+   * @param {String} uri The URI of the service.
+   * @param {Number} instanceId The InstanceID, by default 0.
+   * @param {ServiceDescription} serviceDescription The service description
+   * (SCPD) to check values against, if any.
+   * @param {String} serviceType The service type, by default RenderingControl:1.
+   */
+  constructor(uri, instanceId, serviceDescription, serviceType) {
+    super(uri, serviceType || RENDERING_CONTROL_SERVICE_TYPE);
+    this._instanceId = instanceId || 0;
+    this._serviceDescription = serviceDescription;
+  }
+
+  get instanceId() {
+    return this._instanceId;
+  }
+
+  /**
+   * Gets the service description (SCPD), if the control has it.
+   *
+   * @returns {ServiceDescription} The service description.
+   */
+  get serviceDescription() {
+    return this._serviceDescription;
+  }
+
+  /**
+   * Gets the volume of a channel.
+   *
+   * @param {String} channel The channel, by default Master.
+   * @param {Function} callback Receives the volume, from 0.
+   * @returns {Promise} Resolves to the volume.
+   */
+  getVolume(channel, callback) {
+    if (typeof channel === 'function') {
+      return this.getVolume(null, channel);
+    }
+    return this._get('GetVolume', channel, 'CurrentVolume', 'ui2', callback);
+  }
+
+  /**
+   * Sets the volume of a channel.
+   *
+   * @param {Number} volume The volume, from 0 to the maximum of the device.
+   * @param {String} channel The channel, by default Master.
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when set.
+   */
+  setVolume(volume, channel, callback) {
+    if (typeof channel === 'function') {
+      return this.setVolume(volume, null, channel);
+    }
+    return this._set('SetVolume', channel, 'DesiredVolume', 'ui2', volume, callback);
+  }
+
+  /**
+   * Gets whether a channel is muted.
+   *
+   * @param {String} channel The channel, by default Master.
+   * @param {Function} callback Receives whether it is muted.
+   * @returns {Promise} Resolves to whether it is muted.
+   */
+  getMute(channel, callback) {
+    if (typeof channel === 'function') {
+      return this.getMute(null, channel);
+    }
+    return this._get('GetMute', channel, 'CurrentMute', 'boolean', callback);
+  }
+
+  /**
+   * Mutes or unmutes a channel.
+   *
+   * @param {boolean} mute Whether to mute.
+   * @param {String} channel The channel, by default Master.
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when set.
+   */
+  setMute(mute, channel, callback) {
+    if (typeof channel === 'function') {
+      return this.setMute(mute, null, channel);
+    }
+    return this._set('SetMute', channel, 'DesiredMute', 'boolean', mute, callback);
+  }
+
+  /**
+   * Gets the volume of a channel in decibels.
+   *
+   * @param {String} channel The channel, by default Master.
+   * @param {Function} callback Receives the volume in 1/256 dB units.
+   * @returns {Promise} Resolves to the volume.
+   */
+  getVolumeDB(channel, callback) {
+    if (typeof channel === 'function') {
+      return this.getVolumeDB(null, channel);
+    }
+    return this._get('GetVolumeDB', channel, 'CurrentVolume', 'i2', callback);
+  }
+
+  /**
+   * Sets the volume of a channel in decibels.
+   *
+   * @param {Number} volumeDB The volume in 1/256 dB units, within
+   * {@link getVolumeDBRange}.
+   * @param {String} channel The channel, by default Master.
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when set.
+   */
+  setVolumeDB(volumeDB, channel, callback) {
+    if (typeof channel === 'function') {
+      return this.setVolumeDB(volumeDB, null, channel);
+    }
+    return this._set('SetVolumeDB', channel, 'DesiredVolume', 'i2', volumeDB, callback);
+  }
+
+  /**
+   * Gets the range of the volume of a channel in decibels.
+   *
+   * @param {String} channel The channel, by default Master.
+   * @param {Function} callback Receives MinValue and MaxValue in 1/256 dB units.
+   * @returns {Promise} Resolves to the same.
+   */
+  getVolumeDBRange(channel, callback) {
+    if (typeof channel === 'function') {
+      return this.getVolumeDBRange(null, channel);
+    }
+    let params;
+    try {
+      params = this._channelParams(channel, 'GetVolumeDBRange');
+    } catch (err) {
+      return withCallback(Promise.reject(err), callback);
+    }
+    const promise = this._call('GetVolumeDBRange', params).then((soapResponse) => {
+      return {
+        MinValue: parseValue('i2', soapResponse.MinValue),
+        MaxValue: parseValue('i2', soapResponse.MaxValue)
+      };
+    });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Lists the presets of the instance.
+   *
+   * @param {Function} callback Receives the preset names, e.g. ['FactoryDefaults'].
+   * @returns {Promise} Resolves to the same preset names.
+   */
+  listPresets(callback) {
+    const promise = this._call('ListPresets', instanceParams(this._instanceId, []))
+        .then((soapResponse) => {
+          return RenderingControl._splitCapabilities(soapResponse.CurrentPresetNameList);
+        });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Restores the settings of a preset.
+   *
+   * @param {String} presetName The preset name, one of {@link listPresets}.
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when selected.
+   */
+  selectPreset(presetName, callback) {
+    let params;
+    try {
+      this._check('SelectPreset', 'PresetName', 'string', presetName);
+      params = instanceParams(this._instanceId, [{ name: 'PresetName', value: presetName }]);
+    } catch (err) {
+      return withCallback(Promise.reject(err), callback);
+    }
+    const promise = this._call('SelectPreset', params).then(() => {});
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Gets a per-channel value.
+   *
+   * @param {String} methodName The action name.
+   * @param {String} channel The channel, by default Master.
+   * @param {String} outputName The name of the output argument.
+   * @param {String} dataType The data type of the output argument.
+   * @param {Function} callback Receives the value.
+   * @returns {Promise} Resolves to the value.
+   * @private
+   */
+  _get(methodName, channel, outputName, dataType, callback) {
+    let params;
+    try {
+      params = this._channelParams(channel, methodName);
+    } catch (err) {
+      return withCallback(Promise.reject(err), callback);
+    }
+    const promise = this._call(methodName, params).then((soapResponse) => {
+      return parseValue(dataType, soapResponse[outputName]);
+    });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Sets a per-channel value, checking it first.
+   *
+   * @param {String} methodName The action name.
+   * @param {String} channel The channel, by default Master.
+   * @param {String} inputName The name of the input argument.
+   * @param {String} dataType The data type of the input argument.
+   * @param {*} value The value.
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when set.
+   * @private
+   */
+  _set(methodName, channel, inputName, dataType, value, callback) {
+    let params;
+    try {
+      this._check(methodName, inputName, dataType, value);
+      params = this._channelParams(channel, methodName)
+          .concat([{ name: inputName, value: value, type: dataType }]);
+    } catch (err) {
+      return withCallback(Promise.reject(err), callback);
+    }
+    const promise = this._call(methodName, params).then(() => {});
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Checks an input value against its data type and, if the control has
+   * the SCPD, the allowed values of its state variable.
+   *
+   * @param {String} methodName The action name.
+   * @param {String} inputName The name of the input argument.
+   * @param {String} dataType The standard data type of the input argument.
+   * @param {*} value The value.
+   * @private
+   */
+  _check(methodName, inputName, dataType, value) {
+    let stateVariable;
+    if (this._serviceDescription && this._serviceDescription.hasAction(methodName)) {
+      const argument = this._serviceDescription.getAction(methodName).getArgument(inputName);
+      stateVariable = argument && this._serviceDescription.getArgumentStateVariable(argument);
+    }
+    const invalid = validateValue(stateVariable ? stateVariable.dataType : dataType, value) ||
+      (stateVariable && checkAllowedValue(stateVariable, value));
+    if (invalid) {
+      throw new Error(`${methodName} argument ${inputName}: ${invalid}`);
+    }
+  }
+
+  /**
+   * Gets the InstanceID and Channel input parameters of an action.
+   *
+   * @param {String} channel The channel, by default Master.
+   * @param {String} methodName The action name, to check the channel against.
+   * @returns {Array} The input parameters.
+   * @private
+   */
+  _channelParams(channel, methodName) {
+    const value = channel || 'Master';
+    if (methodName) {
+      this._check(methodName, 'Channel', 'string', value);
+    }
+    return instanceParams(this._instanceId, [{ name: 'Channel', value: value }]);
+  }
+
+  /**
+   * Creates the control for the RenderingControl of a device, first
+   * reading the SCPD.
+   *
+   * @param {DeviceServiceDescription} deviceService The service from the device description.
+   * @param {Number} instanceId The InstanceID, by default 0.
+   * @param {Function} callback Receives the RenderingControl.
+   * @returns {Promise} Resolves to the RenderingControl.
+   */
+  static create(deviceService, instanceId, callback) {
+    if (typeof instanceId === 'function') {
+      return RenderingControl.create(deviceService, 0, instanceId);
+    }
+    const controlUri = url.resolve(deviceService.location, deviceService.service.controlURL);
+    const promise = getServiceDescription(deviceService).then((serviceDescription) => {
+      return new RenderingControl(controlUri, instanceId, serviceDescription,
+          deviceService.service.serviceType);
+    });
+    return withCallback(promise, callback);
+  }
+}
+
+/**
+ * Controls the ConnectionManager service of a media server or renderer:
+ * the protocols it can source or sink, and its connections.
+ *
+ * Check that a renderer can play a res before sending it to AVTransport,
+ * e.g. with findBestResource from protocolinfo and the Sink of
+ * {@link getProtocolInfo}.
+ *
+ * Public methods take an optional callback and also return a Promise.
+ */
+class ConnectionManagerControl extends SoapControl {
+  /**
+   * Constructor that takes the URI of the service.
+   *
+   * @param {String} uri The URI of the service.
+   * @param {String} serviceType The service type, by default ConnectionManager:1.
+   */
+  constructor(uri, serviceType) {
+    super(uri, serviceType || CONNECTION_MANAGER_SERVICE_TYPE);
+  }
+
+  /**
+   * Gets the protocols the device can send and receive.
+   *
+   * @param {Function} callback Receives Source and Sink, each an Array of
+   * ProtocolInfo.  Servers mostly have Source and renderers Sink.
+   * @returns {Promise} Resolves to the same.
+   */
+  getProtocolInfo(callback) {
+    const promise = this._call('GetProtocolInfo', []).then((soapResponse) => {
+      return {
+        Source: parseProtocolInfoList(soapResponse.Source),
+        Sink: parseProtocolInfoList(soapResponse.Sink)
+      };
+    });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Gets the connections of the device.
+   *
+   * @param {Function} callback Receives the ConnectionIDs as Number.
+   * @returns {Promise} Resolves to the same ConnectionIDs.
+   */
+  getCurrentConnectionIDs(callback) {
+    const promise = this._call('GetCurrentConnectionIDs', []).then((soapResponse) => {
+      return ConnectionManagerControl._splitCapabilities(soapResponse.ConnectionIDs)
+          .map((id) => { return parseValue('i4', id); });
+    });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Gets a connection.
+   *
+   * @param {Number} connectionId The ConnectionID, 0 for the default.
+   * @param {Function} callback Receives RcsID, AVTransportID, ProtocolInfo
+   * as ProtocolInfo (null if there is none), PeerConnectionManager,
+   * PeerConnectionID, Direction (Input or Output) and Status.
+   * @returns {Promise} Resolves to the same.
+   */
+  getCurrentConnectionInfo(connectionId, callback) {
+    if (typeof connectionId === 'function') {
+      return this.getCurrentConnectionInfo(0, connectionId);
+    }
+    const params = [{ name: 'ConnectionID', value: connectionId || 0, type: 'i4' }];
+    const promise = this._call('GetCurrentConnectionInfo', params).then((soapResponse) => {
+      let protocolInfo = null;
+      try {
+        protocolInfo = soapResponse.ProtocolInfo ?
+          ProtocolInfo.parse(soapResponse.ProtocolInfo) : null;
+      } catch (err) {
+        // Leave it null, as if there were none
+      }
+      return {
+        RcsID: parseValue('i4', soapResponse.RcsID),
+        AVTransportID: parseValue('i4', soapResponse.AVTransportID),
+        ProtocolInfo: protocolInfo,
+        PeerConnectionManager: soapResponse.PeerConnectionManager,
+        PeerConnectionID: parseValue('i4', soapResponse.PeerConnectionID),
+        Direction: soapResponse.Direction,
+        Status: soapResponse.Status
+      };
+    });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Prepares the device for a connection with a peer, which gives the
+   * InstanceIDs to use with its AVTransport and RenderingControl.  Only
+   * devices that manage connections implement this; for others use
+   * InstanceID 0.
+   *
+   * @param {ProtocolInfo|String} remoteProtocolInfo The protocolInfo of the peer.
+   * @param {String} peerConnectionManager The UDN/serviceId of the peer's
+   * ConnectionManager, by default empty.
+   * @param {Number} peerConnectionId The ConnectionID at the peer, by default -1.
+   * @param {String} direction Input for a renderer, Output for a server.
+   * @param {Function} callback Receives ConnectionID, AVTransportID and RcsID.
+   * @returns {Promise} Resolves to the same; rejects without calling the
+   * action if remoteProtocolInfo or direction is missing.
+   */
+  prepareForConnection(remoteProtocolInfo, peerConnectionManager, peerConnectionId, direction,
+    callback) {
+    const connectionId = peerConnectionId === undefined || peerConnectionId === null ?
+      -1 : peerConnectionId;
+    let invalid;
+    if (!remoteProtocolInfo) {
+      invalid = 'RemoteProtocolInfo is required';
+    } else if (direction !== 'Input' && direction !== 'Output') {
+      invalid = `Direction ${direction} is not Input or Output`;
+    } else {
+      invalid = validateValue('i4', connectionId);
+    }
+    if (invalid) {
+      return withCallback(Promise.reject(new Error(`PrepareForConnection: ${invalid}`)), callback);
+    }
+    const params = [
+      { name: 'RemoteProtocolInfo', value: String(remoteProtocolInfo) },
+      { name: 'PeerConnectionManager', value: peerConnectionManager || '' },
+      { name: 'PeerConnectionID', value: connectionId, type: 'i4' },
+      { name: 'Direction', value: direction }
+    ];
+    const promise = this._call('PrepareForConnection', params).then((soapResponse) => {
+      return {
+        ConnectionID: parseValue('i4', soapResponse.ConnectionID),
+        AVTransportID: parseValue('i4', soapResponse.AVTransportID),
+        RcsID: parseValue('i4', soapResponse.RcsID)
+      };
+    });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Ends a connection made by {@link prepareForConnection}.
+   *
+   * @param {Number} connectionId The ConnectionID.
+   * @param {Function} callback Receives no result.
+   * @returns {Promise} Resolves when ended; rejects without calling the
+   * action if connectionId is not an i4.
+   */
+  connectionComplete(connectionId, callback) {
+    const invalid = validateValue('i4', connectionId);
+    if (invalid) {
+      return withCallback(Promise.reject(new Error(`ConnectionComplete: ${invalid}`)), callback);
+    }
+    const params = [{ name: 'ConnectionID', value: connectionId, type: 'i4' }];
+    const promise = this._call('ConnectionComplete', params).then(() => {});
+    return withCallback(promise, callback);
+  }
+}
+
+/**
+ * Controls any service, using its service control protocol description
+ * (SCPD) to check the arguments sent and to convert the results to
+ * JavaScript types.
+ *
+ * Each action of the service is also a method of the instance, taking
+ * the input arguments as an object and an optional callback, e.g.
+ *
+ *   control.GetVolume({ InstanceID: 0, Channel: 'Master' }).then(...)
+ */
+class ServiceControl extends SoapControl {
+  /**
+   * Creates the control from a service description.  Use
+   * {@link ServiceControl.create} to create one from a device description.
+   *
+   * @param {String} uri The URI of the service (its controlURL).
+   * @param {String} serviceType The service type.
+   * @param {ServiceDescription} serviceDescription The service description (SCPD).
+   */
+  constructor(uri, serviceType, serviceDescription) {
+    super(uri, serviceType);
+    this._serviceDescription = serviceDescription;
+    serviceDescription.actionNames.forEach((name) => {
+      if (!(name in this)) {
+        this[name] = (args, callback) => { return this.invoke(name, args, callback); };
+      }
+    });
+  }
+
+  /**
+   * Gets the service description (SCPD).
+   *
+   * @returns {ServiceDescription} The service description.
+   */
+  get serviceDescription() {
+    return this._serviceDescription;
+  }
+
+  /**
+   * Gets the names of the actions of the service.
+   *
+   * @returns {Array} The action names.
+   */
+  get actionNames() {
+    return this._serviceDescription.actionNames;
+  }
+
+  /**
+   * Gets whether the service has an action.
+   *
+   * @param {String} actionName The action name.
+   * @returns {boolean} Whether the service has the action.
+   */
+  hasAction(actionName) {
+    return this._serviceDescription.hasAction(actionName);
+  }
+
+  /**
+   * Invokes an action.  The arguments are checked against the SCPD before
+   * anything is sent.
+   *
+   * @param {String} actionName The action name.
+   * @param {Object} args The input arguments keyed by name.
+   * @param {Function} callback Receives the output arguments keyed by name.
+   * @returns {Promise} Resolves to the output arguments.
+   */
+  invoke(actionName, args, callback) {
+    if (typeof args === 'function') {
+      return this.invoke(actionName, {}, args);
+    }
+    let params;
+    try {
+      params = this._inputParams(actionName, args || {});
+    } catch (err) {
+      return withCallback(Promise.reject(err), callback);
+    }
+    const promise = this._call(actionName, params).then((soapResponse) => {
+      return this._outputValues(actionName, soapResponse);
+    });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Checks the input arguments of an action and puts them in SCPD order.
+   *
+   * @param {String} actionName The action name.
+   * @param {Object} args The input arguments keyed by name.
+   * @returns {Array} The input parameters for {@link SoapControl#_soapCall}.
+   * @private
+   */
+  _inputParams(actionName, args) {
+    if (!this.hasAction(actionName)) {
+      throw new Error(`${this._serviceType} has no action ${actionName}`);
+    }
+    const action = this._serviceDescription.getAction(actionName);
+    Object.keys(args).forEach((name) => {
+      const argument = action.getArgument(name);
+      if (!argument) {
+        throw new Error(`${actionName} has no argument ${name}`);
+      }
+      if (argument.direction !== 'in') {
+        throw new Error(`${actionName} argument ${name} is not an input`);
+      }
+    });
+    return action.inputArguments.map((argument) => {
+      const value = args[argument.name];
+      const stateVariable = this._serviceDescription.getArgumentStateVariable(argument) || {};
+      const invalid = validateValue(stateVariable.dataType, value);
+      if (invalid) {
+        throw new Error(`${actionName} argument ${argument.name}: ${invalid}`);
+      }
+      const notAllowed = checkAllowedValue(stateVariable, value);
+      if (notAllowed) {
+        throw new Error(`${actionName} argument ${argument.name}: ${notAllowed}`);
+      }
+      return { name: argument.name, value: value, type: stateVariable.dataType };
+    });
+  }
+
+  /**
+   * Converts the output arguments of an action to JavaScript types.
+   *
+   * @param {String} actionName The action name.
+   * @param {Object} soapResponse The parsed response element.
+   * @returns {Object} The output arguments keyed by name.
+   * @private
+   */
+  _outputValues(actionName, soapResponse) {
+    const values = {};
+    this._serviceDescription.getAction(actionName).outputArguments.forEach((argument) => {
+      const stateVariable = this._serviceDescription.getArgumentStateVariable(argument) || {};
+      values[argument.name] = parseValue(stateVariable.dataType, soapResponse[argument.name]);
+    });
+    return values;
+  }
+
+  /**
+   * Creates the control for a service of a device, first reading the SCPD.
+   *
+   * @param {DeviceServiceDescription} deviceService The service from the device description.
+   * @param {Function} callback Receives the ServiceControl.
+   * @returns {Promise} Resolves to the ServiceControl.
+   */
+  static create(deviceService, callback) {
+    const controlUri = url.resolve(deviceService.location, deviceService.service.controlURL);
+    const promise = getServiceDescription(deviceService).then((serviceDescription) => {
+      return new ServiceControl(controlUri, deviceService.service.serviceType, serviceDescription);
+    });
+    return withCallback(promise, callback);
+  }
 }
 
 // function browseRoot() {
@@ -253,4 +1580,10 @@ class ContentDirectoryControl {
 //  });
 // }
 
+module.exports.AVTransportControl = AVTransportControl;
+module.exports.ConnectionManagerControl = ConnectionManagerControl;
 module.exports.ContentDirectoryControl = ContentDirectoryControl;
+module.exports.PagedResults = PagedResults;
+module.exports.RenderingControl = RenderingControl;
+module.exports.ServiceControl = ServiceControl;
+module.exports.UPnPError = UPnPError;
@@ -0,0 +1,249 @@
+/**
+ * UPnP Data Types
+ *
+ * The data types of state variables, and so of action arguments.
+ *
+ * Based on http://www.upnp.org/specs/arch/UPnP-arch-DeviceArchitecture-v1.1.pdf
+ */
+
+'use strict';
+
+/**
+ * The ranges of the integer types.  ui8 and i8 are limited to what
+ * a Number represents exactly.
+ */
+const INTEGER_RANGES = {
+  ui1: [0, 255],
+  ui2: [0, 65535],
+  ui4: [0, 4294967295],
+  ui8: [0, Number.MAX_SAFE_INTEGER],
+  i1: [-128, 127],
+  i2: [-32768, 32767],
+  i4: [-2147483648, 2147483647],
+  i8: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+  int: [-2147483648, 2147483647]
+};
+
+const FLOAT_TYPES = ['r4', 'r8', 'number', 'fixed.14.4', 'float'];
+
+const DATE_TYPES = ['date', 'dateTime', 'dateTime.tz'];
+
+const TRUE_VALUES = ['1', 'true', 'yes'];
+const FALSE_VALUES = ['0', 'false', 'no'];
+
+/**
+ * Gets whether a data type is an integer type.
+ *
+ * @param dataType {String} The data type, e.g. ui4.
+ * @returns {boolean} Whether it is an integer type.
+ */
+function isIntegerType(dataType) {
+  return Object.prototype.hasOwnProperty.call(INTEGER_RANGES, dataType);
+}
+
+/**
+ * Gets whether a data type is numeric, either integer or floating point.
+ *
+ * @param dataType {String} The data type, e.g. r8.
+ * @returns {boolean} Whether it is numeric.
+ */
+function isNumericType(dataType) {
+  return isIntegerType(dataType) || FLOAT_TYPES.indexOf(dataType) !== -1;
+}
+
+/**
+ * Converts the text of an argument or state variable to a JavaScript value.
+ *
+ * Integer and floating point types become a Number, boolean a boolean,
+ * date and dateTime a Date and the bin types a Buffer.  Everything else,
+ * including time, stays a String.  Empty text for a type that is not a
+ * String becomes undefined.
+ *
+ * @param dataType {String} The data type, e.g. ui4.
+ * @param text {String} The text.
+ * @returns {*} The value.
+ */
+function parseValue(dataType, text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  const trimmed = text.trim();
+  if (isIntegerType(dataType)) {
+    return trimmed ? parseInt(trimmed, 10) : undefined;
+  }
+  if (FLOAT_TYPES.indexOf(dataType) !== -1) {
+    return trimmed ? parseFloat(trimmed) : undefined;
+  }
+  if (dataType === 'boolean') {
+    if (TRUE_VALUES.indexOf(trimmed.toLowerCase()) !== -1) {
+      return true;
+    }
+    return FALSE_VALUES.indexOf(trimmed.toLowerCase()) !== -1 ? false : undefined;
+  }
+  if (DATE_TYPES.indexOf(dataType) !== -1) {
+    return trimmed ? new Date(trimmed) : undefined;
+  }
+  if (dataType === 'bin.base64') {
+    return Buffer.from(trimmed, 'base64');
+  }
+  if (dataType === 'bin.hex') {
+    return Buffer.from(trimmed, 'hex');
+  }
+  return text;
+}
+
+/**
+ * Checks that a JavaScript value can be sent as a data type.
+ *
+ * @param dataType {String} The data type, e.g. ui4.
+ * @param value {*} The value.
+ * @returns {String} Why the value is not valid, or undefined if it is.
+ */
+function validateValue(dataType, value) {
+  if (value === undefined || value === null) {
+    return 'no value';
+  }
+  if (isIntegerType(dataType)) {
+    const n = typeof value === 'string' && value.trim() ? Number(value) : value;
+    const range = INTEGER_RANGES[dataType];
+    if (typeof n !== 'number' || !Number.isInteger(n)) {
+      return `${value} is not an integer`;
+    }
+    if (n < range[0] || n > range[1]) {
+      return `${value} is outside the range ${range[0]} to ${range[1]} of ${dataType}`;
+    }
+    return undefined;
+  }
+  if (FLOAT_TYPES.indexOf(dataType) !== -1) {
+    const n = typeof value === 'string' && value.trim() ? Number(value) : value;
+    return typeof n === 'number' && Number.isFinite(n) ? undefined : `${value} is not a number`;
+  }
+  if (dataType === 'boolean') {
+    if (typeof value === 'boolean' || value === 0 || value === 1 ||
+        TRUE_VALUES.concat(FALSE_VALUES).indexOf(String(value).toLowerCase()) !== -1) {
+      return undefined;
+    }
+    return `${value} is not a boolean`;
+  }
+  if (dataType === 'char') {
+    return String(value).length === 1 ? undefined : `${value} is not a single character`;
+  }
+  if (DATE_TYPES.indexOf(dataType) !== -1 && value instanceof Date) {
+    return isNaN(value.getTime()) ? 'invalid Date' : undefined;
+  }
+  if (Buffer.isBuffer(value)) {
+    return ['bin.base64', 'bin.hex'].indexOf(dataType) !== -1 ?
+      undefined : `a Buffer cannot be sent as ${dataType}`;
+  }
+  return typeof value === 'object' ? `an object cannot be sent as ${dataType}` : undefined;
+}
+
+/**
+ * Pads a number to two digits.
+ *
+ * @param n {Number} The number.
+ * @returns {String} The padded number.
+ * @private
+ */
+function pad2(n) {
+  return n < 10 ? `0${n}` : String(n);
+}
+
+/**
+ * Formats a Date in local time as ISO 8601 without a time zone, as for
+ * the date and dateTime types.
+ *
+ * @param date {Date} The Date.
+ * @param withTime {boolean} Whether to include the time.
+ * @returns {String} The formatted Date.
+ * @private
+ */
+function formatLocalDate(date, withTime) {
+  const day = `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+  if (!withTime) {
+    return day;
+  }
+  return `${day}T${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}`;
+}
+
+/**
+ * Formats a Date in local time as ISO 8601 with the time zone offset,
+ * as for the dateTime.tz type.
+ *
+ * @param date {Date} The Date.
+ * @returns {String} The formatted Date.
+ * @private
+ */
+function formatLocalDateWithZone(date) {
+  const offset = -date.getTimezoneOffset();
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${formatLocalDate(date, true)}${sign}${pad2(Math.floor(abs / 60))}:${pad2(abs % 60)}`;
+}
+
+/**
+ * Guesses the data type of a JavaScript value for which the SCPD is not
+ * known.
+ *
+ * @param value {*} The value.
+ * @returns {String} The data type.
+ */
+function inferType(value) {
+  if (typeof value === 'boolean') {
+    return 'boolean';
+  }
+  if (value instanceof Date) {
+    return 'dateTime';
+  }
+  if (Buffer.isBuffer(value)) {
+    return 'bin.base64';
+  }
+  return 'string';
+}
+
+/**
+ * Formats a JavaScript value as the text of an argument of a data type.
+ * The text is not XML-escaped.
+ *
+ * Booleans are sent as 1 or 0, Dates in local time (dateTime.tz with the
+ * offset) and Buffers in base64 or hex.  Strings for the date and bin
+ * types are sent as they are, so should already be formatted.
+ *
+ * @param dataType {String} The data type, e.g. ui4; inferred from the value if absent.
+ * @param value {*} The value, which should have passed {@link validateValue}.
+ * @returns {String} The text.
+ * @throws {Error} If the value of a numeric type is not a finite number.
+ */
+function formatValue(dataType, value) {
+  const type = dataType || inferType(value);
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (isNumericType(type)) {
+    const n = Number(value);
+    if (!isFinite(n)) {
+      throw new Error(`${value} is not a number of type ${type}`);
+    }
+    return String(n);
+  }
+  if (type === 'boolean') {
+    return (value === true || TRUE_VALUES.indexOf(String(value).toLowerCase()) !== -1) ? '1' : '0';
+  }
+  if (value instanceof Date) {
+    if (type === 'date') {
+      return formatLocalDate(value, false);
+    }
+    return type === 'dateTime.tz' ? formatLocalDateWithZone(value) : formatLocalDate(value, true);
+  }
+  if (Buffer.isBuffer(value)) {
+    return value.toString(type === 'bin.hex' ? 'hex' : 'base64');
+  }
+  return String(value);
+}
+
+module.exports.formatValue = formatValue;
+module.exports.inferType = inferType;
+module.exports.isIntegerType = isIntegerType;
+module.exports.isNumericType = isNumericType;
+module.exports.parseValue = parseValue;
+module.exports.validateValue = validateValue;
@@ -8,6 +8,7 @@
 
 const util = require('util');
 const DiscoveryService = require('./discovery').DiscoveryService;
+const discover = require('./search').discover;
 const findDeviceServices = require('./description').findDeviceServices;
 
 /**
@@ -25,28 +26,21 @@ discoveryService.startService((err, address) => {
     console.log(`discovery service error:\n${err.stack}`);
   } else {
     console.log(`discovery service listening ${address.address}:${address.port}`);
-    console.log('start search in 5 seconds');
-    setTimeout(discoveryService.startSearch.bind(discoveryService), 5000, 'ssdp:all', (err2) => {
-      if (err2) {
-        console.log(`search error:\n${err2.stack}`);
-      } else {
-        console.log('search sent');
-        console.log('print results in 5 seconds');
-        setTimeout(() => {
-          console.log('content of discovery message store');
-          console.log(inspect(discoveryService.messageStore));
-          findDeviceServices(discoveryService, 'urn:schemas-upnp-org:device:MediaServer:1',
-              'urn:schemas-upnp-org:service:ContentDirectory:1', (errors, services) => {
-                console.log(`Found ${services.length} service(s)`);
-                errors.forEach((error) => {
-                  console.log(inspect(error));
-                });
-                services.forEach((service) => {
-                  console.log(inspect(service));
-                });
-              });
-        }, 5000);
-      }
+    discover({ service: discoveryService, retries: 1 }).then(() => {
+      console.log('content of discovery message store');
+      console.log(inspect(discoveryService.messageStore));
+      findDeviceServices(discoveryService, 'urn:schemas-upnp-org:device:MediaServer:1',
+          'urn:schemas-upnp-org:service:ContentDirectory:1', (errors, services) => {
+            console.log(`Found ${services.length} service(s)`);
+            errors.forEach((error) => {
+              console.log(inspect(error));
+            });
+            services.forEach((service) => {
+              console.log(inspect(service));
+            });
+          });
+    }, (err2) => {
+      console.log(`search error:\n${err2.stack}`);
     });
   }
 });
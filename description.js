@@ -8,20 +8,39 @@
 
 const os = require('os');
 const request = require('request');
+const url = require('url');
+const parseUSN = require('./discovery').parseUSN;
 const parseObjectFromXml = require('./simplexml').parseObjectFromXml;
+const withCallback = require('./callback').withCallback;
 
 const PRODUCT = 'node-upnp';
 const PRODUCT_VERSION = '1.0';
 
+// How long a description is kept when there is no discovery message to say
+const DEFAULT_DESCRIPTION_TTL = 1800 * 1000;
+
+// How a description is fetched, unless told otherwise
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 500;
+const DEFAULT_CONCURRENCY = 4;
+
+// How much of the body of a failed response to keep
+const BODY_EXCERPT_LENGTH = 200;
+
 /**
  * Gets a (raw) description.
  *
+ * @param uri {String} The URL of the description.
+ * @param timeout {Number} The milliseconds to wait for a response.
+ * @param callback {Function} Called with (err, response, body).
  * @private
  */
-function getDescription(uri, callback) {
+function getDescription(uri, timeout, callback) {
   const options = {
     uri: uri,
     method: 'GET',
+    timeout: timeout,
     headers: {
       'user-agent': `${os.platform()}/${os.release()} UPnP/1.1 ${PRODUCT}/${PRODUCT_VERSION}`
     }
@@ -35,10 +54,25 @@ function getDescription(uri, callback) {
 /**
  * An error that occurred trying to obtain a (device) description.
  */
-class DescriptionError {
-  constructor(location, error) {
+class DescriptionError extends Error {
+  /**
+   * Creates the error.
+   *
+   * @param location {String} The URL of the description.
+   * @param error {Error} The error from the request, if it failed, or else
+   * a String saying what was wrong with the response.
+   * @param statusCode {Number} The HTTP status, if there was a response.
+   * @param body {String} The body of the response, if any, of which only
+   * the start is kept.
+   */
+  constructor(location, error, statusCode, body) {
+    super(`Description at ${location} could not be obtained: ` +
+      `${error instanceof Error ? error.message : error}`);
+    this.name = 'DescriptionError';
     this._location = location;
     this._error = error;
+    this._statusCode = statusCode;
+    this._bodyExcerpt = typeof body === 'string' ? body.substring(0, BODY_EXCERPT_LENGTH) : undefined;
   }
 
   get error() {
@@ -48,6 +82,346 @@ class DescriptionError {
   get location() {
     return this._location;
   }
+
+  /**
+   * Gets the HTTP status of the response.
+   *
+   * @returns {Number} The status, or undefined if there was no response.
+   */
+  get statusCode() {
+    return this._statusCode;
+  }
+
+  /**
+   * Gets the start of the body of the response.
+   *
+   * @returns {String} The start of the body, or undefined if there was none.
+   */
+  get bodyExcerpt() {
+    return this._bodyExcerpt;
+  }
+
+  /**
+   * Gets whether the request timed out.
+   *
+   * @returns {boolean} Whether it timed out.
+   */
+  get isTimeout() {
+    return !!this._error && (this._error.code === 'ETIMEDOUT' || this._error.code === 'ESOCKETTIMEDOUT');
+  }
+
+  /**
+   * Gets whether trying again might succeed: the request failed, timed out
+   * or had a server error, rather than a response that will not change.
+   *
+   * @returns {boolean} Whether it is worth trying again.
+   */
+  get isTransient() {
+    return this._statusCode === undefined ? this._error instanceof Error : this._statusCode >= 500;
+  }
+}
+
+/**
+ * Gets a value that may be one object or an array of them as an array.
+ *
+ * @param value {*} The value from parseObjectFromXml.
+ * @returns {Array} The value as an array, empty if undefined.
+ * @private
+ */
+function asArray(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Gets the text of a value from parseObjectFromXml, which is an object
+ * if the element has attributes.
+ *
+ * @param value {*} The value.
+ * @returns {String} The text or undefined.
+ * @private
+ */
+function textOf(value) {
+  if (typeof value === 'string') {
+    return value || undefined;
+  }
+  return value && typeof value.$ === 'string' ? value.$ : undefined;
+}
+
+/**
+ * Resolves a URL from a description against the base URL.
+ *
+ * @param base {String} The base URL.
+ * @param value {*} The URL as parsed, possibly relative.
+ * @returns {String} The absolute URL or undefined.
+ * @private
+ */
+function resolveUrl(base, value) {
+  const text = textOf(value);
+  return text ? url.resolve(base, text) : undefined;
+}
+
+/**
+ * An icon of a device.
+ */
+class Icon {
+  /**
+   * Creates an icon from the parsed icon element.
+   *
+   * @param icon {Object} The parsed icon element.
+   * @param baseUrl {String} The URL against which the url is resolved.
+   */
+  constructor(icon, baseUrl) {
+    this._mimetype = textOf(icon.mimetype);
+    this._width = parseInt(textOf(icon.width), 10);
+    this._height = parseInt(textOf(icon.height), 10);
+    this._depth = parseInt(textOf(icon.depth), 10);
+    this._url = resolveUrl(baseUrl, icon.url);
+  }
+
+  get mimetype() {
+    return this._mimetype;
+  }
+
+  get width() {
+    return this._width;
+  }
+
+  get height() {
+    return this._height;
+  }
+
+  get depth() {
+    return this._depth;
+  }
+
+  /**
+   * Gets the absolute URL of the icon.
+   *
+   * @returns {String} The URL.
+   */
+  get url() {
+    return this._url;
+  }
+}
+
+/**
+ * A service of a device, with its URLs made absolute.
+ */
+class Service {
+  /**
+   * Creates a service from the parsed service element.
+   *
+   * @param service {Object} The parsed service element.
+   * @param baseUrl {String} The URL against which the URLs are resolved.
+   * @param device {Device} The device that has the service.
+   */
+  constructor(service, baseUrl, device) {
+    this._serviceType = textOf(service.serviceType);
+    this._serviceId = textOf(service.serviceId);
+    this._SCPDURL = resolveUrl(baseUrl, service.SCPDURL);
+    this._controlURL = resolveUrl(baseUrl, service.controlURL);
+    this._eventSubURL = resolveUrl(baseUrl, service.eventSubURL);
+    this._device = device;
+  }
+
+  get serviceType() {
+    return this._serviceType;
+  }
+
+  get serviceId() {
+    return this._serviceId;
+  }
+
+  /**
+   * Gets the absolute URL of the service description (SCPD).
+   *
+   * @returns {String} The URL.
+   */
+  get SCPDURL() {
+    return this._SCPDURL;
+  }
+
+  /**
+   * Gets the absolute URL for control.
+   *
+   * @returns {String} The URL.
+   */
+  get controlURL() {
+    return this._controlURL;
+  }
+
+  /**
+   * Gets the absolute URL for eventing.
+   *
+   * @returns {String} The URL.
+   */
+  get eventSubURL() {
+    return this._eventSubURL;
+  }
+
+  /**
+   * Gets the device that has the service.
+   *
+   * @returns {Device} The device.
+   */
+  get device() {
+    return this._device;
+  }
+}
+
+/**
+ * A device, root or embedded, from a device description.
+ */
+class Device {
+  /**
+   * Creates a device from the parsed device element, including its
+   * services and embedded devices.
+   *
+   * @param device {Object} The parsed device element.
+   * @param baseUrl {String} The URL against which URLs are resolved.
+   * @param parent {Device} The device in which this one is embedded, if any.
+   */
+  constructor(device, baseUrl, parent) {
+    this._deviceType = textOf(device.deviceType);
+    this._friendlyName = textOf(device.friendlyName);
+    this._manufacturer = textOf(device.manufacturer);
+    this._manufacturerURL = textOf(device.manufacturerURL);
+    this._modelDescription = textOf(device.modelDescription);
+    this._modelName = textOf(device.modelName);
+    this._modelNumber = textOf(device.modelNumber);
+    this._modelURL = textOf(device.modelURL);
+    this._serialNumber = textOf(device.serialNumber);
+    this._UDN = textOf(device.UDN);
+    this._UPC = textOf(device.UPC);
+    this._presentationURL = resolveUrl(baseUrl, device.presentationURL);
+    this._parent = parent;
+    this._icons = asArray(device.iconList && device.iconList.icon).map((icon) => {
+      return new Icon(icon, baseUrl);
+    });
+    this._services = asArray(device.serviceList && device.serviceList.service).map((service) => {
+      return new Service(service, baseUrl, this);
+    });
+    this._devices = asArray(device.deviceList && device.deviceList.device).map((embedded) => {
+      return new Device(embedded, baseUrl, this);
+    });
+  }
+
+  get deviceType() {
+    return this._deviceType;
+  }
+
+  get friendlyName() {
+    return this._friendlyName;
+  }
+
+  get manufacturer() {
+    return this._manufacturer;
+  }
+
+  get manufacturerURL() {
+    return this._manufacturerURL;
+  }
+
+  get modelDescription() {
+    return this._modelDescription;
+  }
+
+  get modelName() {
+    return this._modelName;
+  }
+
+  get modelNumber() {
+    return this._modelNumber;
+  }
+
+  get modelURL() {
+    return this._modelURL;
+  }
+
+  get serialNumber() {
+    return this._serialNumber;
+  }
+
+  get UDN() {
+    return this._UDN;
+  }
+
+  get UPC() {
+    return this._UPC;
+  }
+
+  /**
+   * Gets the absolute URL of the presentation page, if any.
+   *
+   * @returns {String} The URL or undefined.
+   */
+  get presentationURL() {
+    return this._presentationURL;
+  }
+
+  /**
+   * Gets the device in which this one is embedded.
+   *
+   * @returns {Device} The device, or undefined for a root device.
+   */
+  get parent() {
+    return this._parent;
+  }
+
+  /**
+   * Gets the icons.
+   *
+   * @returns {Array} The icons as Icon.
+   */
+  get icons() {
+    return this._icons;
+  }
+
+  /**
+   * Gets the services of this device, not of its embedded devices.
+   *
+   * @returns {Array} The services as Service.
+   */
+  get services() {
+    return this._services;
+  }
+
+  /**
+   * Gets the devices embedded directly in this one.
+   *
+   * @returns {Array} The devices as Device.
+   */
+  get devices() {
+    return this._devices;
+  }
+
+  /**
+   * Gets this device and all devices embedded in it, at any depth.
+   *
+   * @returns {Array} The devices as Device.
+   */
+  get allDevices() {
+    return this._devices.reduce((all, embedded) => {
+      return all.concat(embedded.allDevices);
+    }, [this]);
+  }
+
+  /**
+   * Finds the services of a type on this device and its embedded devices.
+   *
+   * @param serviceType {String} The service type.
+   * @returns {Array} The services as Service.
+   */
+  findServices(serviceType) {
+    return this.allDevices.reduce((services, device) => {
+      return services.concat(device.services.filter((service) => {
+        return service.serviceType === serviceType;
+      }));
+    }, []);
+  }
 }
 
 /**
@@ -63,8 +437,16 @@ class DeviceDescription {
   constructor(location, description) {
     this._location = location;
     this._description = description;
+    // URLBase is deprecated in UPnP 1.1 but still sent by some devices
+    this._baseUrl = textOf(description.URLBase) || location;
+    this._device = description.device ? new Device(description.device, this._baseUrl) : undefined;
   }
 
+  /**
+   * Gets the description as parsed, before it was made into a Device.
+   *
+   * @returns {Object} The parsed description.
+   */
   get description() {
     return this._description;
   }
@@ -72,6 +454,25 @@ class DeviceDescription {
   get location() {
     return this._location;
   }
+
+  /**
+   * Gets the URL against which relative URLs are resolved: the URLBase,
+   * if any, or else the location.
+   *
+   * @returns {String} The URL.
+   */
+  get baseUrl() {
+    return this._baseUrl;
+  }
+
+  /**
+   * Gets the root device.
+   *
+   * @returns {Device} The root device, or undefined if the description has none.
+   */
+  get device() {
+    return this._device;
+  }
 }
 
 /**
@@ -82,16 +483,36 @@ class DeviceServiceDescription {
   /**
    * Creates a service description.
    *
+   * The earlier form, with the friendly name of the device in place of the
+   * device and the parsed service element in place of the service, is still
+   * accepted.  Such a description has no device.
+   *
    * @param location {String} The URL from which the device description was read.
-   * @param friendlyDeviceName {String} The friendly name of the device.
-   * @param service {Object} The parsed XML of the service description.
+   * @param device {Device} The device that has the service, or its friendly name.
+   * @param service {Service} The service, or its parsed element.
    */
-  constructor(location, friendlyDeviceName, service) {
+  constructor(location, device, service) {
     this._location = location;
-    this._friendlyDeviceName = friendlyDeviceName;
+    if (typeof device === 'string') {
+      this._device = undefined;
+      this._friendlyDeviceName = device;
+    } else {
+      this._device = device;
+      this._friendlyDeviceName = device.friendlyName;
+    }
     this._service = service;
   }
 
+  /**
+   * Gets the device that has the service.
+   *
+   * @returns {Device} The device, or undefined if the description was
+   * created with only the friendly name of the device.
+   */
+  get device() {
+    return this._device;
+  }
+
   get friendlyDeviceName() {
     return this._friendlyDeviceName;
   }
@@ -105,6 +526,679 @@ class DeviceServiceDescription {
   }
 }
 
+/**
+ * An argument of an action.
+ */
+class Argument {
+  /**
+   * Creates an argument from the parsed argument element.
+   *
+   * @param argument {Object} The parsed argument element.
+   */
+  constructor(argument) {
+    this._name = textOf(argument.name);
+    this._direction = textOf(argument.direction);
+    this._isRetval = argument.retval !== undefined;
+    this._relatedStateVariable = textOf(argument.relatedStateVariable);
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  /**
+   * Gets the direction.
+   *
+   * @returns {String} in or out.
+   */
+  get direction() {
+    return this._direction;
+  }
+
+  /**
+   * Gets whether the argument is the return value of the action.
+   *
+   * @returns {boolean} Whether it is the return value.
+   */
+  get isRetval() {
+    return this._isRetval;
+  }
+
+  /**
+   * Gets the name of the state variable that gives the type of the argument.
+   *
+   * @returns {String} The state variable name.
+   */
+  get relatedStateVariable() {
+    return this._relatedStateVariable;
+  }
+}
+
+/**
+ * An action of a service.
+ */
+class Action {
+  /**
+   * Creates an action from the parsed action element.
+   *
+   * @param action {Object} The parsed action element.
+   */
+  constructor(action) {
+    this._name = textOf(action.name);
+    this._arguments = asArray(action.argumentList && action.argumentList.argument)
+        .map((argument) => { return new Argument(argument); });
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  /**
+   * Gets the arguments in the order they are sent.
+   *
+   * @returns {Array} The arguments as Argument.
+   */
+  get arguments() {
+    return this._arguments;
+  }
+
+  /**
+   * Gets the input arguments.
+   *
+   * @returns {Array} The arguments as Argument.
+   */
+  get inputArguments() {
+    return this._arguments.filter((argument) => { return argument.direction === 'in'; });
+  }
+
+  /**
+   * Gets the output arguments.
+   *
+   * @returns {Array} The arguments as Argument.
+   */
+  get outputArguments() {
+    return this._arguments.filter((argument) => { return argument.direction === 'out'; });
+  }
+
+  /**
+   * Gets the output argument that is the return value, if any.
+   *
+   * @returns {Argument} The argument or undefined.
+   */
+  get retval() {
+    return this._arguments.find((argument) => { return argument.isRetval; });
+  }
+
+  /**
+   * Gets an argument by name.
+   *
+   * @param name {String} The argument name.
+   * @returns {Argument} The argument or undefined.
+   */
+  getArgument(name) {
+    return this._arguments.find((argument) => { return argument.name === name; });
+  }
+}
+
+/**
+ * A state variable of a service.
+ */
+class StateVariable {
+  /**
+   * Creates a state variable from the parsed stateVariable element.
+   *
+   * @param stateVariable {Object} The parsed stateVariable element.
+   */
+  constructor(stateVariable) {
+    const range = stateVariable.allowedValueRange;
+    this._name = textOf(stateVariable.name);
+    this._dataType = textOf(stateVariable.dataType);
+    this._defaultValue = textOf(stateVariable.defaultValue);
+    this._allowedValueList = stateVariable.allowedValueList ?
+      asArray(stateVariable.allowedValueList.allowedValue).map((value) => {
+        return textOf(value) || '';
+      }) : undefined;
+    this._allowedValueRange = range ? {
+      minimum: parseFloat(textOf(range.minimum)),
+      maximum: parseFloat(textOf(range.maximum)),
+      step: range.step === undefined ? undefined : parseFloat(textOf(range.step))
+    } : undefined;
+    // sendEvents defaults to yes
+    this._sendEvents = stateVariable['@sendEvents'] !== 'no';
+    this._multicast = stateVariable['@multicast'] === 'yes';
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  /**
+   * Gets the data type, e.g. ui4.
+   *
+   * @returns {String} The data type.
+   */
+  get dataType() {
+    return this._dataType;
+  }
+
+  /**
+   * Gets the default value as text.
+   *
+   * @returns {String} The default value or undefined.
+   */
+  get defaultValue() {
+    return this._defaultValue;
+  }
+
+  /**
+   * Gets the values a string variable may have.
+   *
+   * @returns {Array} The values, or undefined if any value is allowed.
+   */
+  get allowedValueList() {
+    return this._allowedValueList;
+  }
+
+  /**
+   * Gets the range a numeric variable may have.
+   *
+   * @returns {Object} The minimum, maximum and, if given, step, or
+   * undefined if there is no range.
+   */
+  get allowedValueRange() {
+    return this._allowedValueRange;
+  }
+
+  /**
+   * Gets whether changes are evented.
+   *
+   * @returns {boolean} Whether changes are evented.
+   */
+  get sendEvents() {
+    return this._sendEvents;
+  }
+
+  get multicast() {
+    return this._multicast;
+  }
+}
+
+/**
+ * A service description (SCPD): the actions and state variables of a
+ * service.
+ */
+class ServiceDescription {
+  /**
+   * Creates a service description.
+   *
+   * @param location {String} The URL from which the SCPD was read.
+   * @param scpd {Object} The SCPD XML parsed to an object.
+   */
+  constructor(location, scpd) {
+    this._location = location;
+    this._actions = new Map();
+    asArray(scpd.actionList && scpd.actionList.action).forEach((element) => {
+      const action = new Action(element);
+      this._actions.set(action.name, action);
+    });
+    this._stateVariables = new Map();
+    asArray(scpd.serviceStateTable && scpd.serviceStateTable.stateVariable)
+        .forEach((element) => {
+          const stateVariable = new StateVariable(element);
+          this._stateVariables.set(stateVariable.name, stateVariable);
+        });
+  }
+
+  get location() {
+    return this._location;
+  }
+
+  /**
+   * Gets the actions.
+   *
+   * @returns {Array} The actions as Action.
+   */
+  get actions() {
+    return Array.from(this._actions.values());
+  }
+
+  /**
+   * Gets the names of the actions.
+   *
+   * @returns {Array} The action names.
+   */
+  get actionNames() {
+    return Array.from(this._actions.keys());
+  }
+
+  /**
+   * Gets the state variables.
+   *
+   * @returns {Array} The state variables as StateVariable.
+   */
+  get stateVariables() {
+    return Array.from(this._stateVariables.values());
+  }
+
+  /**
+   * Gets whether the service has an action, such as an optional one
+   * like Search of ContentDirectory.
+   *
+   * @param name {String} The action name.
+   * @returns {boolean} Whether it has the action.
+   */
+  hasAction(name) {
+    return this._actions.has(name);
+  }
+
+  /**
+   * Gets an action by name.
+   *
+   * @param name {String} The action name.
+   * @returns {Action} The action or undefined.
+   */
+  getAction(name) {
+    return this._actions.get(name);
+  }
+
+  /**
+   * Gets a state variable by name.
+   *
+   * @param name {String} The state variable name.
+   * @returns {StateVariable} The state variable or undefined.
+   */
+  getStateVariable(name) {
+    return this._stateVariables.get(name);
+  }
+
+  /**
+   * Gets the state variable that gives the type of an argument.
+   *
+   * @param argument {Argument} The argument.
+   * @returns {StateVariable} The state variable or undefined.
+   */
+  getArgumentStateVariable(argument) {
+    return this._stateVariables.get(argument.relatedStateVariable);
+  }
+
+  /**
+   * Factory that parses SCPD XML.
+   *
+   * @param xml {String} The SCPD XML.
+   * @param location {String} The URL from which it was read, if known.
+   * @returns A new ServiceDescription.
+   * @static
+   */
+  static parse(xml, location) {
+    return new ServiceDescription(location, parseObjectFromXml(xml));
+  }
+}
+
+/**
+ * Gets the service description (SCPD) of a service.
+ *
+ * @param service {Service} The service, or a DeviceServiceDescription.
+ * @param callback {Function} Receives (err, description), the error a
+ * DescriptionError and the description a ServiceDescription, if given.
+ * @returns {Promise} Resolves to the ServiceDescription.
+ */
+function getServiceDescription(service, callback) {
+  const scpdUrl = service.service ?
+    url.resolve(service.location, service.service.SCPDURL) : service.SCPDURL;
+  const promise = new Promise((resolve, reject) => {
+    getDescription(scpdUrl, DEFAULT_TIMEOUT, (err, response, body) => {
+      if (err) {
+        reject(new DescriptionError(scpdUrl, err));
+      } else if (response.statusCode !== 200) {
+        reject(new DescriptionError(scpdUrl, `HTTP status ${response.statusCode}`,
+            response.statusCode, body));
+      } else {
+        try {
+          resolve(ServiceDescription.parse(body, scpdUrl));
+        } catch (parseErr) {
+          reject(new DescriptionError(scpdUrl, parseErr, response.statusCode, body));
+        }
+      }
+    });
+  });
+  return withCallback(promise, callback);
+}
+
+/**
+ * A cache of device descriptions keyed by LOCATION.
+ *
+ * A description is kept for as long as the discovery messages with its
+ * LOCATION are, or for a TTL if there are none.  Given a discovery
+ * service, the cache also forgets a description when:
+ *   the last message with its LOCATION says byebye, expires or is removed,
+ *     other than by a search clearing the store
+ *   a message moves from its LOCATION to another
+ *   its device comes back with a new BOOTID.UPNP.ORG
+ * and, if it is cached, fetches it again when its device has a new
+ * CONFIGID.UPNP.ORG.
+ *
+ * Requests for a LOCATION that is being fetched wait for that fetch
+ * rather than starting another.  Failed fetches are not cached.
+ */
+class DescriptionCache {
+  /**
+   * Creates an empty cache.
+   *
+   * The options are:
+   *   ttl {Number} The milliseconds to keep a description that has no
+   *     discovery messages, by default 30 minutes.
+   *   timeout {Number} The milliseconds to wait for each request, by default 5000.
+   *   retries {Number} The times to try again after a request fails, times
+   *     out or has a server error, by default 2.
+   *   retryDelay {Number} The milliseconds before the first retry, doubled
+   *     for each one after, by default 500.
+   *
+   * @param discoveryService {DiscoveryService} The discovery service whose
+   * messages decide how long descriptions are kept, if any.
+   * @param options {Object} The options, if any.
+   */
+  constructor(discoveryService, options) {
+    const opts = options || {};
+    this._ttl = opts.ttl === undefined ? DEFAULT_DESCRIPTION_TTL : opts.ttl;
+    this._timeout = opts.timeout || DEFAULT_TIMEOUT;
+    this._retries = opts.retries === undefined ? DEFAULT_RETRIES : opts.retries;
+    this._retryDelay = opts.retryDelay === undefined ? DEFAULT_RETRY_DELAY : opts.retryDelay;
+    this._store = discoveryService ? discoveryService.messageStore : null;
+    this._entries = new Map();
+    this._pending = new Map();
+    this._listeners = {
+      removed: (message, reason) => {
+        // A search clears the store but will most likely find the device again
+        if (reason !== 'cleared') {
+          this._invalidateIfUnused(DescriptionCache._locationOf(message));
+        }
+      },
+      updated: (message, previous) => {
+        const location = DescriptionCache._locationOf(previous);
+        if (location !== DescriptionCache._locationOf(message)) {
+          this._invalidateIfUnused(location);
+        }
+      },
+      rebooted: (uuid) => {
+        this._locationsOf(uuid).forEach((location) => { this.invalidate(location); });
+      },
+      'config-changed': (uuid) => {
+        this._locationsOf(uuid).forEach((location) => {
+          // Only descriptions someone asked for are fetched again
+          if (this._entries.has(location)) {
+            this.refresh(location, () => {});
+          } else {
+            this.invalidate(location);
+          }
+        });
+      }
+    };
+    if (this._store) {
+      Object.keys(this._listeners).forEach((event) => {
+        this._store.on(event, this._listeners[event]);
+      });
+    }
+  }
+
+  /**
+   * Gets the LOCATIONs with a cached description.
+   *
+   * @returns {Array} The LOCATIONs.
+   */
+  get locations() {
+    return Array.from(this._entries.keys()).filter((location) => {
+      return this._isFresh(location);
+    });
+  }
+
+  /**
+   * Gets a description, from the cache if it is there and fresh, and
+   * otherwise by fetching it.
+   *
+   * @param location {String} The LOCATION.
+   * @param callback {Function} Called with (err, description), where the
+   * error is a DescriptionError and the description a DeviceDescription.
+   */
+  get(location, callback) {
+    if (this._isFresh(location)) {
+      const description = this._entries.get(location).description;
+      process.nextTick(() => { callback(null, description); });
+      return;
+    }
+    this._entries.delete(location);
+    this._fetch(location, callback);
+  }
+
+  /**
+   * Fetches a description again, whether or not it is cached.  If it is
+   * already being fetched, that fetch is used.
+   *
+   * @param location {String} The LOCATION.
+   * @param callback {Function} Called with (err, description), if given.
+   */
+  refresh(location, callback) {
+    this._entries.delete(location);
+    this._fetch(location, callback || (() => {}));
+  }
+
+  /**
+   * Forgets a description.  A fetch in progress completes but is not
+   * cached.
+   *
+   * @param location {String} The LOCATION.
+   */
+  invalidate(location) {
+    this._entries.delete(location);
+    const pending = this._pending.get(location);
+    if (pending) {
+      pending.stale = true;
+    }
+  }
+
+  /**
+   * Forgets all descriptions.
+   */
+  clear() {
+    Array.from(this._entries.keys()).concat(Array.from(this._pending.keys()))
+        .forEach((location) => { this.invalidate(location); });
+  }
+
+  /**
+   * Stops following the discovery service.
+   */
+  close() {
+    if (this._store) {
+      Object.keys(this._listeners).forEach((event) => {
+        this._store.removeListener(event, this._listeners[event]);
+      });
+    }
+  }
+
+  /**
+   * Fetches a description, joining any fetch in progress that has not
+   * been invalidated.
+   *
+   * @param location {String} The LOCATION.
+   * @param callback {Function} Called with (err, description).
+   * @private
+   */
+  _fetch(location, callback) {
+    const pending = this._pending.get(location);
+    if (pending && !pending.stale) {
+      pending.callbacks.push(callback);
+      return;
+    }
+    const fetch = { callbacks: [callback], stale: false };
+    this._pending.set(location, fetch);
+    this._request(location, 0, (error, description) => {
+      if (this._pending.get(location) === fetch) {
+        this._pending.delete(location);
+      }
+      if (description && !fetch.stale) {
+        this._entries.set(location, { description, fetchedAt: Date.now() });
+      }
+      fetch.callbacks.forEach((cb) => { cb(error, description); });
+    });
+  }
+
+  /**
+   * Requests a description, trying again with backoff after a transient
+   * failure.
+   *
+   * @param location {String} The LOCATION.
+   * @param attempt {Number} The number of tries so far.
+   * @param callback {Function} Called with (err, description).
+   * @private
+   */
+  _request(location, attempt, callback) {
+    getDescription(location, this._timeout, (err, response, body) => {
+      let error = null;
+      let description;
+      if (err) {
+        error = new DescriptionError(location, err);
+      } else if (response.statusCode !== 200) {
+        error = new DescriptionError(location, `HTTP status ${response.statusCode}`,
+            response.statusCode, body);
+      } else {
+        try {
+          description = new DeviceDescription(location, parseObjectFromXml(body));
+        } catch (parseErr) {
+          error = new DescriptionError(location, parseErr, response.statusCode, body);
+        }
+      }
+      if (error && error.isTransient && attempt < this._retries) {
+        const delay = this._retryDelay * (2 ** attempt);
+        setTimeout(() => { this._request(location, attempt + 1, callback); }, delay);
+      } else {
+        callback(error, description);
+      }
+    });
+  }
+
+  /**
+   * Gets whether a description is cached and has not outlived the
+   * discovery messages with its LOCATION, or the TTL if there are none.
+   *
+   * @param location {String} The LOCATION.
+   * @returns {boolean} Whether it is fresh.
+   * @private
+   */
+  _isFresh(location) {
+    const entry = this._entries.get(location);
+    if (!entry) {
+      return false;
+    }
+    const messages = this._messagesAt(location);
+    const expiresAt = messages.length ?
+      Math.max.apply(null, messages.map((message) => { return message.expiresAt; })) :
+      entry.fetchedAt + this._ttl;
+    return Date.now() < expiresAt;
+  }
+
+  /**
+   * Forgets a description if no discovery message has its LOCATION.
+   *
+   * @param location {String} The LOCATION.
+   * @private
+   */
+  _invalidateIfUnused(location) {
+    if (location && this._messagesAt(location).length === 0) {
+      this.invalidate(location);
+    }
+  }
+
+  /**
+   * Gets the discovery messages with a LOCATION.
+   *
+   * @param location {String} The LOCATION.
+   * @returns {Array} The messages.
+   * @private
+   */
+  _messagesAt(location) {
+    if (!this._store) {
+      return [];
+    }
+    return this._store.messages.filter((message) => {
+      return DescriptionCache._locationOf(message) === location;
+    });
+  }
+
+  /**
+   * Gets the LOCATIONs of the discovery messages of a device.
+   *
+   * @param uuid {String} The device UUID.
+   * @returns {Set} The LOCATIONs.
+   * @private
+   */
+  _locationsOf(uuid) {
+    const locations = new Set();
+    this._store.messages.forEach((message) => {
+      const usn = message.USN0 && parseUSN(message.USN0.value);
+      const location = DescriptionCache._locationOf(message);
+      if (usn && usn.uuid === uuid && location) {
+        locations.add(location);
+      }
+    });
+    return locations;
+  }
+
+  /**
+   * Gets the LOCATION of a discovery message.
+   *
+   * @param message {DiscoveryMessage} The message.
+   * @returns {String} The LOCATION or undefined.
+   * @private
+   */
+  static _locationOf(message) {
+    return message.LOCATION0 ? message.LOCATION0.value : undefined;
+  }
+}
+
+// The cache used for each discovery service when none is given
+const defaultCaches = new WeakMap();
+
+/**
+ * Gets the cache used for a discovery service when none is given.
+ *
+ * @param discoveryService {DiscoveryService} The discovery service.
+ * @returns {DescriptionCache} The cache.
+ * @private
+ */
+function defaultCacheFor(discoveryService) {
+  let cache = defaultCaches.get(discoveryService);
+  if (!cache) {
+    cache = new DescriptionCache(discoveryService);
+    defaultCaches.set(discoveryService, cache);
+  }
+  return cache;
+}
+
+/**
+ * Runs tasks with at most a number running at once.
+ *
+ * @param items {Array} The items to run a task for.
+ * @param concurrency {Number} The most tasks to run at once.
+ * @param task {Function} Takes an item and returns a Promise.
+ * @returns {Promise} Resolves when every task is done.
+ * @private
+ */
+function runWithConcurrency(items, concurrency, task) {
+  let next = 0;
+  const worker = () => {
+    if (next >= items.length) {
+      return Promise.resolve();
+    }
+    const item = items[next];
+    next += 1;
+    return task(item).then(worker);
+  };
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i += 1) {
+    workers.push(worker());
+  }
+  return Promise.all(workers);
+}
+
 /**
  * Finds all device/service descriptions.
  *
@@ -113,31 +1207,55 @@ class DeviceServiceDescription {
  * already issued a compatible search.  Otherwise, we rely exclusively
  * on what has been advertised since we started.
  *
+ * The locations are those known when called; messages that come and go
+ * while descriptions are fetched do not change what is fetched.
+ * Descriptions come from a cache, by default one per discovery service,
+ * so only those not already cached are fetched.  The cache decides the
+ * timeout and retries of each fetch.
+ *
+ * The options are:
+ *   cache {DescriptionCache} The cache to use, if not the default.
+ *   concurrency {Number} The most fetches at once, by default 4.
+ *
  * @param discoveryService {DiscoveryService} The discovery service.
- * @param callback {Function} Receives the descriptions as DeviceDescription.
+ * @param options {Object} The options, if any.
+ * @param callback {Function} Receives (errors, descriptions), the errors as
+ * DescriptionError and the descriptions as DeviceDescription, if given.
+ * @returns {Promise} Resolves with {descriptions, errors}.  It never rejects.
  */
-function findAllDeviceDescriptions(discoveryService, callback) {
+function findAllDeviceDescriptions(discoveryService, options, callback) {
+  if (typeof options === 'function') {
+    return findAllDeviceDescriptions(discoveryService, {}, options);
+  }
+  const opts = options || {};
+  const descriptionCache = opts.cache || defaultCacheFor(discoveryService);
   const errors = [];
   const descriptions = [];
-  discoveryService.getLocations().forEach((location) => {
-    getDescription(location, (err, response, body) => {
-      if (err) {
-        errors.push(new DescriptionError(location, err, body));
-      } else if (response.statusCode !== 200) {
-        errors.push(new DescriptionError(location,
-            `statusCode: ${response.StatusCode} body: ${body}`));
-      } else {
-        descriptions.push(new DeviceDescription(location, parseObjectFromXml(body)));
-      }
-      if ((descriptions.length + errors.length) === discoveryService.getLocations().size) {
-        callback(errors, descriptions);
-      }
-    });
-  });
+  const locations = Array.from(discoveryService.getLocations());
+  const promise = runWithConcurrency(locations, opts.concurrency || DEFAULT_CONCURRENCY,
+      (location) => {
+        return new Promise((resolve) => {
+          descriptionCache.get(location, (err, description) => {
+            if (err) {
+              errors.push(err);
+            } else {
+              descriptions.push(description);
+            }
+            resolve();
+          });
+        });
+      }).then(() => {
+        return { descriptions, errors };
+      });
+  if (callback) {
+    promise.then((result) => { callback(result.errors, result.descriptions); });
+  }
+  return promise;
 }
 
 /**
- * Finds all services for a device type and service type.
+ * Finds all services for a device type and service type.  The device may
+ * be a root device or embedded in one.
  *
  * This does not issue a search on the discovery service.  Maybe it
  * should, but for now it is the responsibility of the caller to have
@@ -146,24 +1264,51 @@ function findAllDeviceDescriptions(discoveryService, callback) {
  * @param discoveryService {DiscoveryService} The discovery service.
  * @param deviceType {String} The device type to find.
  * @param serviceType {String} The service type to find on the device.
- * @param callback {Function} Receives the services as DeviceServiceDescription.
+ * @param options {Object} The options of findAllDeviceDescriptions, if any.
+ * @param callback {Function} Receives (errors, services), the services as
+ * DeviceServiceDescription, if given.
+ * @returns {Promise} Resolves with {services, errors}.  It never rejects.
  */
-function findDeviceServices(discoveryService, deviceType, serviceType, callback) {
-  findAllDeviceDescriptions(discoveryService, (errors, descriptions) => {
+function findDeviceServices(discoveryService, deviceType, serviceType, options, callback) {
+  if (typeof options === 'function') {
+    return findDeviceServices(discoveryService, deviceType, serviceType, {}, options);
+  }
+  const promise = findAllDeviceDescriptions(discoveryService, options).then((result) => {
     const matchingServices = [];
-    descriptions.forEach((description) => {
-      if (description.description.device.deviceType === deviceType) {
-        description.description.device.serviceList.service.forEach((service) => {
-          if (service.serviceType === serviceType) {
-            matchingServices.push(new DeviceServiceDescription(description.location,
-                description.description.device.friendlyName, service));
-          }
-        });
+    result.descriptions.forEach((description) => {
+      if (!description.device) {
+        return;
       }
+      description.device.allDevices.forEach((device) => {
+        if (device.deviceType === deviceType) {
+          device.services.forEach((service) => {
+            if (service.serviceType === serviceType) {
+              matchingServices.push(new DeviceServiceDescription(description.location, device,
+                  service));
+            }
+          });
+        }
+      });
     });
-    callback(errors, matchingServices);
+    return { services: matchingServices, errors: result.errors };
   });
+  if (callback) {
+    promise.then((result) => { callback(result.errors, result.services); });
+  }
+  return promise;
 }
 
+module.exports.Action = Action;
+module.exports.Argument = Argument;
+module.exports.DescriptionCache = DescriptionCache;
+module.exports.DescriptionError = DescriptionError;
+module.exports.Device = Device;
+module.exports.DeviceDescription = DeviceDescription;
+module.exports.DeviceServiceDescription = DeviceServiceDescription;
+module.exports.Icon = Icon;
+module.exports.Service = Service;
+module.exports.ServiceDescription = ServiceDescription;
+module.exports.StateVariable = StateVariable;
 module.exports.findAllDeviceDescriptions = findAllDeviceDescriptions;
 module.exports.findDeviceServices = findDeviceServices;
+module.exports.getServiceDescription = getServiceDescription;
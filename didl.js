@@ -0,0 +1,1027 @@
+/**
+ * UPnP DIDL-Lite
+ *
+ * Parses DIDL-Lite documents, such as the Result of a Browse or Search,
+ * into typed objects and serializes objects back to DIDL-Lite, such as
+ * for the Elements of a CreateObject or the metadata of SetAVTransportURI.
+ *
+ * Property names are qualified with the conventional prefix of their
+ * namespace (dc:title, upnp:album, dlna:profileID) regardless of the
+ * prefixes used by the document.
+ *
+ * Based on http://www.upnp.org/specs/av/UPnP-av-ContentDirectory-v1-Service.pdf
+ */
+
+'use strict';
+
+const DOMParser = require('xmldom').DOMParser;
+const XMLSerializer = require('xmldom').XMLSerializer;
+const escapeXml = require('./simplexml').escapeXml;
+
+const DIDL_LITE_NS = 'urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/';
+const DC_NS = 'http://purl.org/dc/elements/1.1/';
+const UPNP_NS = 'urn:schemas-upnp-org:metadata-1-0/upnp/';
+const DLNA_NS = 'urn:schemas-dlna-org:metadata-1-0/';
+
+/**
+ * The conventional prefixes of the namespaces we know about.
+ */
+const NAMESPACES = {
+  dc: DC_NS,
+  upnp: UPNP_NS,
+  dlna: DLNA_NS
+};
+
+/**
+ * Gets the child elements of an element, optionally with a namespace
+ * and local name.
+ *
+ * @param element {Element} The parent element.
+ * @param ns {String} The namespace URI of the children, if any.
+ * @param localName {String} The local name of the children, if any.
+ * @returns {Array} The matching child elements.
+ * @private
+ */
+function childElements(element, ns, localName) {
+  const elements = [];
+  for (let c = 0; c < element.childNodes.length; c += 1) {
+    const child = element.childNodes.item(c);
+    if (child.localName && (!localName || (child.localName === localName &&
+        child.namespaceURI === ns))) {
+      elements.push(child);
+    }
+  }
+  return elements;
+}
+
+/**
+ * Gets an attribute of an element.
+ *
+ * @param element {Element} The element.
+ * @param name {String} The attribute name.
+ * @returns {String} The value or undefined if there is no such attribute.
+ * @private
+ */
+function attribute(element, name) {
+  return element.hasAttribute(name) ? element.getAttribute(name) : undefined;
+}
+
+/**
+ * Parses an integer, passing undefined through.
+ *
+ * @param value {String} The value.
+ * @returns {Number} The integer or undefined.
+ * @private
+ */
+function parseInteger(value) {
+  return value === undefined ? undefined : parseInt(value, 10);
+}
+
+/**
+ * Parses a DIDL-Lite boolean, which is 0 or 1 (or, from some servers,
+ * false or true in any case).
+ *
+ * @param value {String} The value.
+ * @returns {boolean} The boolean or undefined.
+ * @private
+ */
+function parseBoolean(value) {
+  return value === undefined ? undefined :
+    ['1', 'true'].indexOf(value.trim().toLowerCase()) !== -1;
+}
+
+/**
+ * Serializes a DIDL-Lite boolean, passing undefined through.
+ *
+ * @param value {boolean} The value.
+ * @returns {String} 1, 0 or undefined.
+ * @private
+ */
+function serializeBoolean(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return value ? '1' : '0';
+}
+
+/**
+ * Gets the conventional prefix of a namespace we know about.
+ *
+ * @param namespaceURI {String} The namespace URI.
+ * @returns {String} The prefix or undefined for an unknown namespace.
+ * @private
+ */
+function knownPrefix(namespaceURI) {
+  return Object.keys(NAMESPACES).find((prefix) => {
+    return NAMESPACES[prefix] === namespaceURI;
+  });
+}
+
+/**
+ * Qualifies the name of an element or attribute with the conventional
+ * prefix of its namespace.  Names from unknown namespaces keep their
+ * document prefix, or are left unqualified if they have none.
+ *
+ * @param node {Node} The element or attribute.
+ * @returns {String} The qualified name, e.g. upnp:album.
+ * @private
+ */
+function qualifiedName(node) {
+  if (!node.namespaceURI || node.namespaceURI === DIDL_LITE_NS) {
+    return node.localName;
+  }
+  const prefix = knownPrefix(node.namespaceURI) || node.prefix;
+  return prefix ? `${prefix}:${node.localName}` : node.localName;
+}
+
+/**
+ * Finds the namespaces we do not know about that are used by the
+ * children of an element and their attributes.  The contents of desc
+ * elements are ignored, since they are kept as XML.
+ *
+ * @param element {Element} The container or item element.
+ * @returns {Object} The namespace URIs keyed by document prefix.
+ * @private
+ */
+function unknownNamespaces(element) {
+  const namespaces = {};
+  const add = (node) => {
+    if (node.namespaceURI && node.namespaceURI !== DIDL_LITE_NS && node.prefix &&
+        node.prefix !== 'xmlns' && !knownPrefix(node.namespaceURI)) {
+      namespaces[node.prefix] = node.namespaceURI;
+    }
+  };
+  childElements(element).forEach((child) => {
+    if (child.localName !== 'desc') {
+      add(child);
+      for (let a = 0; a < child.attributes.length; a += 1) {
+        add(child.attributes.item(a));
+      }
+    }
+  });
+  return namespaces;
+}
+
+/**
+ * Gets the attributes of an element keyed by qualified name, skipping
+ * namespace declarations and the names given.
+ *
+ * @param element {Element} The element.
+ * @param except {Array} Names of attributes to skip.
+ * @returns {Object} The attributes.
+ * @private
+ */
+function elementAttributes(element, except) {
+  const attributes = {};
+  for (let a = 0; a < element.attributes.length; a += 1) {
+    const attr = element.attributes.item(a);
+    if (attr.prefix !== 'xmlns' && attr.name !== 'xmlns') {
+      const name = qualifiedName(attr);
+      if (except.indexOf(name) === -1) {
+        attributes[name] = attr.value;
+      }
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Serializes attributes, skipping those with undefined values.
+ *
+ * @param attributes {Object} The attributes keyed by qualified name.
+ * @returns {String} The attributes, each preceded by a space.
+ * @private
+ */
+function serializeAttributes(attributes) {
+  return Object.keys(attributes).filter((name) => {
+    return attributes[name] !== undefined;
+  }).map((name) => {
+    return ` ${name}="${escapeXml(attributes[name])}"`;
+  }).join('');
+}
+
+/**
+ * Serializes objects as a DIDL-Lite document.  The dc and upnp namespaces
+ * are always declared; dlna is declared when a property or resource
+ * attribute uses it.
+ *
+ * @param objects {Array} The objects as DidlObject.
+ * @returns {String} The DIDL-Lite XML.
+ */
+function serializeDidlLite(objects) {
+  const namespaces = { dc: DC_NS, upnp: UPNP_NS };
+  objects.forEach((o) => {
+    const names = [];
+    o.properties.forEach((p) => {
+      names.push(p.name);
+      names.push(...Object.keys(p.attributes));
+    });
+    o.res.forEach((r) => { names.push(...Object.keys(r.attributes)); });
+    names.forEach((name) => {
+      const idx = name.indexOf(':');
+      if (idx !== -1) {
+        const prefix = name.substring(0, idx);
+        namespaces[prefix] = NAMESPACES[prefix] || o.namespaces[prefix];
+      }
+    });
+  });
+  const declarations = Object.keys(namespaces).filter((prefix) => {
+    return namespaces[prefix];
+  }).map((prefix) => {
+    return ` xmlns:${prefix}="${escapeXml(namespaces[prefix])}"`;
+  }).join('');
+  return `<DIDL-Lite xmlns="${DIDL_LITE_NS}"${declarations}>` +
+    `${objects.map((o) => { return o.toXml(); }).join('')}</DIDL-Lite>`;
+}
+
+/**
+ * A metadata property of a DIDL-Lite object, such as dc:title or
+ * upnp:artist.  Properties may repeat and may have attributes, such as
+ * the role of a upnp:artist.
+ */
+class DidlProperty {
+  /**
+   * Creates a property.
+   *
+   * @param name {String} The qualified name, e.g. upnp:artist.
+   * @param value {String} The value.
+   * @param attributes {Object} The attributes keyed by qualified name, if any.
+   */
+  constructor(name, value, attributes) {
+    this._name = name;
+    this._value = value;
+    this._attributes = attributes || {};
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  get value() {
+    return this._value;
+  }
+
+  get attributes() {
+    return this._attributes;
+  }
+
+  /**
+   * Serializes the property as a DIDL-Lite element.
+   *
+   * @returns {String} The XML.
+   */
+  toXml() {
+    return `<${this._name}${serializeAttributes(this._attributes)}>` +
+      `${escapeXml(this._value)}</${this._name}>`;
+  }
+}
+
+/**
+ * A resource (res element) of a DIDL-Lite object.
+ */
+class DidlResource {
+  /**
+   * Creates a resource.
+   *
+   * @param url {String} The URL of the resource.
+   * @param protocolInfo {String} The protocolInfo attribute.
+   * @param attributes {Object} Other attributes, e.g. size, duration, bitrate,
+   * keyed by qualified name.
+   */
+  constructor(url, protocolInfo, attributes) {
+    this._url = url;
+    this._protocolInfo = protocolInfo;
+    this._attributes = attributes || {};
+  }
+
+  get url() {
+    return this._url;
+  }
+
+  get protocolInfo() {
+    return this._protocolInfo;
+  }
+
+  /**
+   * Gets the attributes other than protocolInfo.
+   *
+   * @returns {Object} The attributes keyed by qualified name.
+   */
+  get attributes() {
+    return this._attributes;
+  }
+
+  /**
+   * Gets the size in bytes, if known.
+   *
+   * @returns {Number} The size or undefined.
+   */
+  get size() {
+    return parseInteger(this._attributes.size);
+  }
+
+  /**
+   * Gets the duration (H+:MM:SS[.F+]), if known.
+   *
+   * @returns {String} The duration or undefined.
+   */
+  get duration() {
+    return this._attributes.duration;
+  }
+
+  /**
+   * Serializes the resource as a DIDL-Lite res element.
+   *
+   * @returns {String} The XML.
+   */
+  toXml() {
+    const attributes = Object.assign({ protocolInfo: this._protocolInfo }, this._attributes);
+    return `<res${serializeAttributes(attributes)}>${escapeXml(this._url || '')}</res>`;
+  }
+
+  /**
+   * Factory that creates a resource from a res element.
+   *
+   * @param element {Element} The res element.
+   * @returns {DidlResource} The resource.
+   * @static
+   */
+  static fromElement(element) {
+    return new DidlResource(element.textContent.trim(), attribute(element, 'protocolInfo'),
+        elementAttributes(element, ['protocolInfo']));
+  }
+}
+
+/**
+ * A vendor-specific desc element of a DIDL-Lite object, kept as XML.
+ */
+class DidlDesc {
+  /**
+   * Creates a desc.
+   *
+   * @param id {String} The id attribute.
+   * @param nameSpace {String} The nameSpace attribute.
+   * @param content {String} The content as XML.
+   */
+  constructor(id, nameSpace, content) {
+    this._id = id;
+    this._nameSpace = nameSpace;
+    this._content = content;
+  }
+
+  get id() {
+    return this._id;
+  }
+
+  get nameSpace() {
+    return this._nameSpace;
+  }
+
+  get content() {
+    return this._content;
+  }
+
+  /**
+   * Serializes the desc as a DIDL-Lite desc element.
+   *
+   * @returns {String} The XML.
+   */
+  toXml() {
+    return `<desc${serializeAttributes({ id: this._id, nameSpace: this._nameSpace })}>` +
+      `${this._content}</desc>`;
+  }
+
+  /**
+   * Factory that creates a desc from a desc element.
+   *
+   * @param element {Element} The desc element.
+   * @returns {DidlDesc} The desc.
+   * @static
+   */
+  static fromElement(element) {
+    const serializer = new XMLSerializer();
+    let content = '';
+    for (let c = 0; c < element.childNodes.length; c += 1) {
+      content += serializer.serializeToString(element.childNodes.item(c));
+    }
+    return new DidlDesc(attribute(element, 'id'), attribute(element, 'nameSpace'), content);
+  }
+}
+
+/**
+ * The properties shared by DIDL-Lite containers and items.
+ */
+class DidlObject {
+  /**
+   * Creates an object.  The upnp:class defaults to that of the
+   * (JavaScript) class being constructed.
+   *
+   * @param id {String} The id attribute; empty when creating an object.
+   * @param parentID {String} The parentID attribute.
+   * @param title {String} The dc:title, if any.
+   * @param upnpClass {String} The upnp:class, if not the default.
+   */
+  constructor(id, parentID, title, upnpClass) {
+    this._id = id;
+    this._parentID = parentID;
+    this._restricted = false;
+    this._properties = [];
+    this._res = [];
+    this._desc = [];
+    this._namespaces = {};
+    if (title !== undefined) {
+      this.addProperty('dc:title', title);
+    }
+    this.addProperty('upnp:class', upnpClass || this.constructor.defaultClass);
+  }
+
+  /**
+   * Gets the upnp:class given to new instances of this class.
+   *
+   * @returns {String} The class.
+   */
+  static get defaultClass() {
+    return 'object';
+  }
+
+  /**
+   * Creates an object of the class this is called on with no properties,
+   * not even upnp:class, ready to be filled in from a parsed element.
+   *
+   * @param id {String} The id attribute.
+   * @param parentID {String} The parentID attribute.
+   * @param namespaces {Object} The namespace URIs of prefixes that are not
+   * well known, keyed by prefix, if any.
+   * @returns {DidlObject} The object.
+   * @static
+   */
+  static createEmpty(id, parentID, namespaces) {
+    const obj = new this(id, parentID);
+    obj._properties = [];
+    obj._namespaces = Object.assign({}, namespaces);
+    return obj;
+  }
+
+  get id() {
+    return this._id;
+  }
+
+  get parentID() {
+    return this._parentID;
+  }
+
+  get restricted() {
+    return this._restricted;
+  }
+
+  set restricted(restricted) {
+    this._restricted = restricted;
+  }
+
+  get isContainer() {
+    return this.constructor.defaultClass.indexOf('object.container') === 0;
+  }
+
+  get title() {
+    return this.getProperty('dc:title');
+  }
+
+  /**
+   * Gets the value of upnp:class, e.g. object.item.audioItem.musicTrack.
+   *
+   * @returns {String} The class.
+   */
+  get upnpClass() {
+    return this.getProperty('upnp:class');
+  }
+
+  get creator() {
+    return this.getProperty('dc:creator');
+  }
+
+  get date() {
+    return this.getProperty('dc:date');
+  }
+
+  get albumArtURI() {
+    return this.getProperty('upnp:albumArtURI');
+  }
+
+  /**
+   * Gets all properties, in document order.
+   *
+   * @returns {Array} The properties as DidlProperty.
+   */
+  get properties() {
+    return this._properties;
+  }
+
+  /**
+   * Gets the namespaces of the properties and attributes that are not in
+   * a well-known namespace, as declared where the object was parsed.
+   *
+   * @returns {Object} The namespace URIs keyed by prefix.
+   */
+  get namespaces() {
+    return this._namespaces;
+  }
+
+  /**
+   * Gets the resources.  Containers rarely have any.
+   *
+   * @returns {Array} The resources as DidlResource.
+   */
+  get res() {
+    return this._res;
+  }
+
+  /**
+   * Gets the vendor-specific desc elements.
+   *
+   * @returns {Array} The descs as DidlDesc.
+   */
+  get desc() {
+    return this._desc;
+  }
+
+  /**
+   * Gets the value of the first property with a name.
+   *
+   * @param name {String} The qualified name, e.g. upnp:album.
+   * @returns {String} The value or undefined.
+   */
+  getProperty(name) {
+    const property = this._properties.find((p) => { return p.name === name; });
+    return property ? property.value : undefined;
+  }
+
+  /**
+   * Gets the values of all properties with a name.
+   *
+   * @param name {String} The qualified name, e.g. upnp:genre.
+   * @returns {Array} The values.
+   */
+  getPropertyValues(name) {
+    return this._properties.filter((p) => { return p.name === name; })
+        .map((p) => { return p.value; });
+  }
+
+  /**
+   * Adds a property, keeping any others with the same name.
+   *
+   * @param name {String} The qualified name, e.g. upnp:artist.
+   * @param value {String} The value.
+   * @param attributes {Object} The attributes, if any.
+   */
+  addProperty(name, value, attributes) {
+    this._properties.push(new DidlProperty(name, String(value), attributes));
+  }
+
+  /**
+   * Sets a property, replacing any others with the same name.
+   *
+   * @param name {String} The qualified name, e.g. upnp:album.
+   * @param value {String} The value.
+   * @param attributes {Object} The attributes, if any.
+   */
+  setProperty(name, value, attributes) {
+    const index = this._properties.findIndex((p) => { return p.name === name; });
+    const property = new DidlProperty(name, String(value), attributes);
+    this._properties = this._properties.filter((p) => { return p.name !== name; });
+    if (index === -1) {
+      this._properties.push(property);
+    } else {
+      this._properties.splice(index, 0, property);
+    }
+  }
+
+  /**
+   * Adds a resource.
+   *
+   * @param res {DidlResource} The resource.
+   */
+  addResource(res) {
+    this._res.push(res);
+  }
+
+  /**
+   * Adds a vendor-specific desc.
+   *
+   * @param desc {DidlDesc} The desc.
+   */
+  addDesc(desc) {
+    this._desc.push(desc);
+  }
+
+  /**
+   * Gets the attributes of the container or item element.
+   *
+   * @returns {Object} The attributes.
+   * @protected
+   */
+  _elementAttributes() {
+    return {
+      id: this._id === undefined ? '' : this._id,
+      parentID: this._parentID === undefined ? '' : this._parentID,
+      restricted: serializeBoolean(this._restricted)
+    };
+  }
+
+  /**
+   * Serializes the object as a DIDL-Lite container or item element.
+   *
+   * @returns {String} The XML.
+   */
+  toXml() {
+    const name = this.isContainer ? 'container' : 'item';
+    const children = [].concat(this._properties, this._res, this._desc).map((child) => {
+      return child.toXml();
+    }).join('');
+    return `<${name}${serializeAttributes(this._elementAttributes())}>${children}</${name}>`;
+  }
+
+  /**
+   * Serializes the object as a complete DIDL-Lite document, as required
+   * for CreateObject and SetAVTransportURI.
+   *
+   * @returns {String} The XML.
+   */
+  toDidlLite() {
+    return serializeDidlLite([this]);
+  }
+}
+
+/**
+ * A DIDL-Lite container.
+ */
+class DidlContainer extends DidlObject {
+  static get defaultClass() {
+    return 'object.container';
+  }
+
+  /**
+   * Gets the number of children, if the server provided it.
+   *
+   * @returns {Number} The child count or undefined.
+   */
+  get childCount() {
+    return this._childCount;
+  }
+
+  set childCount(childCount) {
+    this._childCount = childCount;
+  }
+
+  get searchable() {
+    return this._searchable;
+  }
+
+  set searchable(searchable) {
+    this._searchable = searchable;
+  }
+
+  _elementAttributes() {
+    return Object.assign(super._elementAttributes(), {
+      childCount: this._childCount,
+      searchable: serializeBoolean(this._searchable)
+    });
+  }
+}
+
+/**
+ * A DIDL-Lite item.
+ */
+class DidlItem extends DidlObject {
+  static get defaultClass() {
+    return 'object.item';
+  }
+
+  /**
+   * Gets the ID of the item this item references, if any.
+   *
+   * @returns {String} The refID or undefined.
+   */
+  get refID() {
+    return this._refID;
+  }
+
+  set refID(refID) {
+    this._refID = refID;
+  }
+
+  _elementAttributes() {
+    return Object.assign(super._elementAttributes(), { refID: this._refID });
+  }
+}
+
+/**
+ * An object.item.audioItem.
+ */
+class AudioItem extends DidlItem {
+  static get defaultClass() {
+    return 'object.item.audioItem';
+  }
+
+  get genre() {
+    return this.getProperty('upnp:genre');
+  }
+
+  get description() {
+    return this.getProperty('dc:description');
+  }
+}
+
+/**
+ * An object.item.audioItem.musicTrack.
+ */
+class MusicTrack extends AudioItem {
+  static get defaultClass() {
+    return 'object.item.audioItem.musicTrack';
+  }
+
+  get artist() {
+    return this.getProperty('upnp:artist');
+  }
+
+  get album() {
+    return this.getProperty('upnp:album');
+  }
+
+  get originalTrackNumber() {
+    return parseInteger(this.getProperty('upnp:originalTrackNumber'));
+  }
+}
+
+/**
+ * An object.item.videoItem.
+ */
+class VideoItem extends DidlItem {
+  static get defaultClass() {
+    return 'object.item.videoItem';
+  }
+
+  get genre() {
+    return this.getProperty('upnp:genre');
+  }
+
+  get description() {
+    return this.getProperty('dc:description');
+  }
+}
+
+/**
+ * An object.item.videoItem.movie.
+ */
+class Movie extends VideoItem {
+  static get defaultClass() {
+    return 'object.item.videoItem.movie';
+  }
+}
+
+/**
+ * An object.item.imageItem.
+ */
+class ImageItem extends DidlItem {
+  static get defaultClass() {
+    return 'object.item.imageItem';
+  }
+
+  get description() {
+    return this.getProperty('dc:description');
+  }
+}
+
+/**
+ * An object.item.imageItem.photo.
+ */
+class Photo extends ImageItem {
+  static get defaultClass() {
+    return 'object.item.imageItem.photo';
+  }
+
+  get album() {
+    return this.getProperty('upnp:album');
+  }
+}
+
+/**
+ * An object.container.storageFolder.
+ */
+class StorageFolder extends DidlContainer {
+  static get defaultClass() {
+    return 'object.container.storageFolder';
+  }
+
+  get storageUsed() {
+    return parseInteger(this.getProperty('upnp:storageUsed'));
+  }
+}
+
+/**
+ * An object.container.album.
+ */
+class Album extends DidlContainer {
+  static get defaultClass() {
+    return 'object.container.album';
+  }
+}
+
+/**
+ * An object.container.album.musicAlbum.
+ */
+class MusicAlbum extends Album {
+  static get defaultClass() {
+    return 'object.container.album.musicAlbum';
+  }
+
+  get artist() {
+    return this.getProperty('upnp:artist');
+  }
+
+  get genre() {
+    return this.getProperty('upnp:genre');
+  }
+}
+
+/**
+ * An object.container.album.photoAlbum.
+ */
+class PhotoAlbum extends Album {
+  static get defaultClass() {
+    return 'object.container.album.photoAlbum';
+  }
+}
+
+/**
+ * An object.container.person.musicArtist.
+ */
+class MusicArtist extends DidlContainer {
+  static get defaultClass() {
+    return 'object.container.person.musicArtist';
+  }
+}
+
+/**
+ * An object.container.genre.musicGenre.
+ */
+class MusicGenre extends DidlContainer {
+  static get defaultClass() {
+    return 'object.container.genre.musicGenre';
+  }
+}
+
+/**
+ * An object.container.playlistContainer.
+ */
+class PlaylistContainer extends DidlContainer {
+  static get defaultClass() {
+    return 'object.container.playlistContainer';
+  }
+}
+
+/**
+ * The typed classes, from which we pick the most specific for a upnp:class.
+ */
+const TYPED_CLASSES = [
+  DidlContainer, DidlItem,
+  AudioItem, MusicTrack, VideoItem, Movie, ImageItem, Photo,
+  StorageFolder, Album, MusicAlbum, PhotoAlbum, MusicArtist, MusicGenre, PlaylistContainer
+];
+
+/**
+ * Gets the most specific typed class for a upnp:class.  For example,
+ * object.item.audioItem.musicTrack.vendorTrack is a MusicTrack.
+ *
+ * @param isContainer {boolean} Whether the object is a container.
+ * @param upnpClass {String} The upnp:class.
+ * @returns {Function} The class.
+ * @private
+ */
+function typedClassFor(isContainer, upnpClass) {
+  const base = isContainer ? DidlContainer : DidlItem;
+  const parts = (upnpClass || '').split('.');
+  for (let length = parts.length; length > 0; length -= 1) {
+    const candidate = parts.slice(0, length).join('.');
+    const typedClass = TYPED_CLASSES.find((c) => { return c.defaultClass === candidate; });
+    if (typedClass && (typedClass === base || typedClass.prototype instanceof base)) {
+      return typedClass;
+    }
+  }
+  return base;
+}
+
+/**
+ * Parses a container or item element.
+ *
+ * @param element {Element} The element.
+ * @returns {DidlObject} The typed object.
+ * @private
+ */
+function parseObjectElement(element) {
+  const isContainer = element.localName === 'container';
+  const classElements = childElements(element, UPNP_NS, 'class');
+  const upnpClass = classElements.length ? classElements[0].textContent.trim() : undefined;
+  const TypedClass = typedClassFor(isContainer, upnpClass);
+  const obj = TypedClass.createEmpty(attribute(element, 'id'), attribute(element, 'parentID'),
+      unknownNamespaces(element));
+  obj.restricted = parseBoolean(attribute(element, 'restricted')) || false;
+  if (isContainer) {
+    obj.childCount = parseInteger(attribute(element, 'childCount'));
+    obj.searchable = parseBoolean(attribute(element, 'searchable'));
+  } else {
+    obj.refID = attribute(element, 'refID');
+  }
+  childElements(element).forEach((child) => {
+    if (child.namespaceURI === DIDL_LITE_NS && child.localName === 'res') {
+      obj.addResource(DidlResource.fromElement(child));
+    } else if (child.namespaceURI === DIDL_LITE_NS && child.localName === 'desc') {
+      obj.addDesc(DidlDesc.fromElement(child));
+    } else {
+      obj.addProperty(qualifiedName(child), child.textContent.trim(),
+          elementAttributes(child, []));
+    }
+  });
+  return obj;
+}
+
+/**
+ * The containers and items of a DIDL-Lite document.
+ */
+class DidlLite {
+  /**
+   * Creates a document from its objects.
+   *
+   * @param objects {Array} The objects as DidlObject, in document order.
+   */
+  constructor(objects) {
+    this._objects = objects;
+  }
+
+  /**
+   * Gets the containers and items, in document order.
+   *
+   * @returns {Array} The objects as DidlObject.
+   */
+  get objects() {
+    return this._objects;
+  }
+
+  get containers() {
+    return this._objects.filter((o) => { return o.isContainer; });
+  }
+
+  get items() {
+    return this._objects.filter((o) => { return !o.isContainer; });
+  }
+
+  /**
+   * Serializes the document.
+   *
+   * @returns {String} The DIDL-Lite XML.
+   */
+  toXml() {
+    return serializeDidlLite(this._objects);
+  }
+}
+
+/**
+ * Parses a DIDL-Lite document, such as the Result of a Browse or Search.
+ *
+ * @param xml {String} The DIDL-Lite XML.
+ * @returns {DidlLite} The containers and items.
+ */
+function parseDidlLite(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  const root = doc.documentElement;
+  if (!root || root.localName !== 'DIDL-Lite' || root.namespaceURI !== DIDL_LITE_NS) {
+    throw new Error('Not a DIDL-Lite document');
+  }
+  return new DidlLite(childElements(root).filter((element) => {
+    return element.namespaceURI === DIDL_LITE_NS &&
+      (element.localName === 'container' || element.localName === 'item');
+  }).map(parseObjectElement));
+}
+
+module.exports.NAMESPACES = NAMESPACES;
+module.exports.Album = Album;
+module.exports.AudioItem = AudioItem;
+module.exports.DidlContainer = DidlContainer;
+module.exports.DidlDesc = DidlDesc;
+module.exports.DidlItem = DidlItem;
+module.exports.DidlLite = DidlLite;
+module.exports.DidlObject = DidlObject;
+module.exports.DidlProperty = DidlProperty;
+module.exports.DidlResource = DidlResource;
+module.exports.ImageItem = ImageItem;
+module.exports.Movie = Movie;
+module.exports.MusicAlbum = MusicAlbum;
+module.exports.MusicArtist = MusicArtist;
+module.exports.MusicGenre = MusicGenre;
+module.exports.MusicTrack = MusicTrack;
+module.exports.Photo = Photo;
+module.exports.PhotoAlbum = PhotoAlbum;
+module.exports.PlaylistContainer = PlaylistContainer;
+module.exports.StorageFolder = StorageFolder;
+module.exports.VideoItem = VideoItem;
+module.exports.parseDidlLite = parseDidlLite;
+module.exports.serializeDidlLite = serializeDidlLite;
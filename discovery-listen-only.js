@@ -1,9 +1,10 @@
 /**
  * UPnP Discovery (SSDP) Test
  *
- * The discovery service is started, but no search is sent.  Every 60 seconds,
- * the content of the discovery message store is logged.  The store should not
- * have duplicates, as new messages for a service should replace existing ones.
+ * The discovery service is started, but no search is sent.  Devices are logged
+ * as they are added, updated and removed.  Every 60 seconds, the content of the
+ * discovery message store is logged.  The store should not have duplicates, as
+ * new messages for a service should replace existing ones.
  *
  * Based on http://www.upnp.org/specs/arch/UPnP-arch-DeviceArchitecture-v1.1.pdf
  */
@@ -24,6 +25,18 @@ function inspect(o) {
   return util.inspect(o, { depth: 8 });
 }
 
+discoveryService.on('device-added', (message) => {
+  console.log(`added ${message.USN0.value} at ${message.LOCATION0.value}`);
+});
+
+discoveryService.on('device-updated', (message) => {
+  console.log(`updated ${message.USN0.value} at ${message.LOCATION0.value}`);
+});
+
+discoveryService.on('device-removed', (message, reason) => {
+  console.log(`removed ${message.USN0.value} (${reason})`);
+});
+
 discoveryService.startService((err, address) => {
   if (err) {
     console.log(`discovery server error:\n${err.stack}`);
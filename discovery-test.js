@@ -1,9 +1,10 @@
 /**
  * UPnP Discovery (SSDP) Test
  *
- * The discovery service is started, and 5 seconds later a search is sent.
- * Five seconds after that, the content of the discovery message store is logged.
- * The store should contain messages for all services on the network.
+ * The discovery service is started and a search is sent, twice in case a
+ * packet is dropped.  Once devices have had time to respond, the content of
+ * the discovery message store is logged.  The store should contain messages
+ * for all services on the network.
  *
  * Based on http://www.upnp.org/specs/arch/UPnP-arch-DeviceArchitecture-v1.1.pdf
  */
@@ -12,6 +13,8 @@
 
 const util = require('util');
 const discovery = require('./discovery');
+const discover = require('./search').discover;
+const DeviceRegistry = require('./registry').DeviceRegistry;
 
 /**
  * Inspect an object using our default depth
@@ -33,25 +36,33 @@ function findContentDirectories(discoveryServer) {
   });
 }
 
+/**
+ * Find (and print) media servers in the device registry.
+ */
+function findMediaServers(deviceRegistry) {
+  const devices = deviceRegistry.findDevicesByType('urn:schemas-upnp-org:device:MediaServer:1');
+  console.log('findMediaServers');
+  devices.forEach((device) => {
+    console.log(`${device.uuid} ${device.deviceType} at ${device.location}`);
+    console.log(`  services: ${device.serviceTypes.join(', ')}`);
+  });
+}
+
 const discoveryService = new discovery.DiscoveryService();
+const deviceRegistry = new DeviceRegistry(discoveryService);
 discoveryService.startService((err, address) => {
   if (err) {
     console.log(`discovery server error:\n${err.stack}`);
   } else {
     console.log(`discovery server listening ${address.address}:${address.port}`);
-    console.log('start search in 5 seconds');
-    setTimeout(discoveryService.startSearch.bind(discoveryService), 5000, 'ssdp:all', (err2) => {
-      if (err2) {
-        console.log(`search error:\n${err2.stack}`);
-      } else {
-        console.log('search sent');
-        console.log('print results in 5 seconds');
-        setTimeout(() => {
-          console.log('content of discovery message store');
-          console.log(inspect(discoveryService.messageStore));
-          findContentDirectories(discoveryService);
-        }, 5000);
-      }
+    discover({ service: discoveryService, retries: 1 }).then((responses) => {
+      console.log(`${responses.length} response(s)`);
+      console.log('content of discovery message store');
+      console.log(inspect(discoveryService.messageStore));
+      findContentDirectories(discoveryService);
+      findMediaServers(deviceRegistry);
+    }, (err2) => {
+      console.log(`search error:\n${err2.stack}`);
     });
   }
 });
@@ -7,15 +7,76 @@
 'use strict';
 
 const dgram = require('dgram');
+const EventEmitter = require('events');
 const os = require('os');
 const util = require('util');
+const request = require('request');
 
 const DISCOVERY_MULTICAST_ADDRESS = '239.255.255.250';
 const DISCOVERY_PORT = 1900;
+const IPV6_MULTICAST_ADDRESSES = ['FF02::C', 'FF05::C'];
+
+// Devices wait up to MX seconds before responding to a search
+const DEFAULT_MX = 2;
+const MAX_MX = 5;
+
+// The longest delay setTimeout supports
+const MAX_TIMER_DELAY = 2147483647;
 
 const PRODUCT = 'node-upnp';
 const PRODUCT_VERSION = '1.0';
 
+// How long to wait for a restored LOCATION to answer
+const DEFAULT_VERIFY_TIMEOUT = 5000;
+
+// How long to let changes to the store settle before saving it
+const SAVE_DELAY = 1000;
+
+// How long after MX to wait for search responses still in flight
+const RESPONSE_ALLOWANCE = 1000;
+
+/**
+ * Parses a USN into the device UUID and the notification type that
+ * follows it, if any.  For example,
+ *   uuid:device-UUID::urn:schemas-upnp-org:service:ContentDirectory:1
+ * gives the UUID device-UUID and the type
+ *   urn:schemas-upnp-org:service:ContentDirectory:1
+ *
+ * @param usn {String} The USN.
+ * @returns {Object} The uuid, and type if there is one, or undefined if
+ * the USN does not start with uuid:.
+ */
+function parseUSN(usn) {
+  const match = /^uuid:(.+?)(?:::(.+))?$/i.exec((usn || '').trim());
+  if (!match) {
+    return undefined;
+  }
+  return { uuid: match[1], type: match[2] };
+}
+
+/**
+ * Gets whether an advertised device or service type satisfies a requested
+ * one.  Types are backward compatible, so MediaServer:2 satisfies a
+ * request for MediaServer:1 but not the reverse.
+ *
+ * @param advertised {String} The advertised type, e.g. urn:schemas-upnp-org:device:MediaServer:2.
+ * @param requested {String} The requested type, e.g. urn:schemas-upnp-org:device:MediaServer:1.
+ * @returns {boolean} Whether the advertised type satisfies the requested one.
+ */
+function typeSatisfies(advertised, requested) {
+  if (advertised === requested) {
+    return true;
+  }
+  const a = advertised.lastIndexOf(':');
+  const r = requested.lastIndexOf(':');
+  if (a === -1 || r === -1 || advertised.substring(0, a) !== requested.substring(0, r)) {
+    return false;
+  }
+  const advertisedVersion = parseInt(advertised.substring(a + 1), 10);
+  const requestedVersion = parseInt(requested.substring(r + 1), 10);
+  return advertisedVersion >= requestedVersion;
+}
+
 /**
  * A header in a discovery message.
  */
@@ -34,11 +95,45 @@ class DiscoveryMessageHeader {
   }
 }
 
+/**
+ * Gets the value of a header as an integer, if present.
+ *
+ * @param header {DiscoveryMessageHeader} The header or undefined.
+ * @returns {Number} The value or undefined if absent or not an integer.
+ * @private
+ */
+function headerInteger(header) {
+  const value = header ? parseInt(header.value, 10) : NaN;
+  return isNaN(value) ? undefined : value;
+}
+
+/**
+ * Gets the value of a header, if present.
+ *
+ * @param header {DiscoveryMessageHeader} The header or undefined.
+ * @returns {String} The value or undefined.
+ * @private
+ */
+function headerValue(header) {
+  return header ? header.value : undefined;
+}
+
+// The headers the spec requires of each type of message
+const REQUIRED_NOTIFY_HEADERS = {
+  'ssdp:alive': ['HOST', 'CACHE-CONTROL', 'LOCATION', 'NT', 'NTS', 'SERVER', 'USN'],
+  'ssdp:byebye': ['HOST', 'NT', 'NTS', 'USN'],
+  'ssdp:update': ['HOST', 'LOCATION', 'NT', 'NTS', 'USN', 'BOOTID.UPNP.ORG',
+    'CONFIGID.UPNP.ORG', 'NEXTBOOTID.UPNP.ORG']
+};
+const REQUIRED_SEARCH_HEADERS = ['HOST', 'MAN', 'ST'];
+const REQUIRED_RESPONSE_HEADERS = ['CACHE-CONTROL', 'EXT', 'LOCATION', 'SERVER', 'ST', 'USN'];
+
 /**
  * A message sent by a device for discovery.
  *
  * Our treatment of the message is intentionally permissive.  We
  * allow any status line and any headers, including duplicates.
+ * What is wrong with a message is kept in its warnings.
  */
 class DiscoveryMessage {
   /**
@@ -48,12 +143,20 @@ class DiscoveryMessage {
    * @param timestamp {Date} The instant at which the message was received.
    * @param statusLine {Array} The status line split into parts.
    * @param headers {Array} The headers.
+   * @param networkInterface {Object} The interface on which the message arrived,
+   * with name, address and family, if known.
+   * @param warnings {Array} What was wrong with the format of the message,
+   * if anything.  What is wrong with its content is added.
    */
-  constructor(remoteAddress, timestamp, statusLine, headers) {
+  constructor(remoteAddress, timestamp, statusLine, headers, networkInterface, warnings) {
     this._remoteAddress = remoteAddress;
     this._timestamp = timestamp;
     this._statusLine = statusLine;
     this._headers = headers;
+    this._networkInterface = networkInterface;
+    this._maxAge = this._parseMaxAge();
+    this._expiresAt = this._computeExpiresAt();
+    this._warnings = (warnings || []).concat(this._validate());
   }
 
   get remoteAddress() {
@@ -64,10 +167,31 @@ class DiscoveryMessage {
     return this._timestamp;
   }
 
+  /**
+   * Gets the network interface on which the message arrived.
+   *
+   * @returns {Object} The interface with name, address and family, or
+   * undefined if it is not known.
+   */
+  get networkInterface() {
+    return this._networkInterface;
+  }
+
   get statusLine() {
     return this._statusLine;
   }
 
+  /**
+   * Gets what is wrong with the message: deviations from the format,
+   * missing headers and the like.  A message with warnings may still be
+   * usable.
+   *
+   * @returns {Array} The warnings as strings, empty if there are none.
+   */
+  get warnings() {
+    return this._warnings;
+  }
+
   get headers() {
     return this._headers;
   }
@@ -80,31 +204,35 @@ class DiscoveryMessage {
     return this._statusLine[0] === 'HTTP/1.1';
   }
 
+  get isSearchRequest() {
+    return this._statusLine[0] === 'M-SEARCH';
+  }
+
   /**
-   * Gets whether this message is expired.
+   * Gets the max-age of the CACHE-CONTROL header.
+   *
+   * @returns {Number} The max-age in seconds or undefined if there is none.
    */
-  get isExpired() {
-    const cacheControl = this._getFirstHeaderNamed('CACHE-CONTROL');
-    if (!cacheControl) {
-      return false;
-    }
-    const idx = cacheControl.value.indexOf('max-age=');
-    if (idx === -1) {
-      return false;
-    }
-    const maxAge = parseInt(cacheControl.value.substring(idx + 'max-age='.length), 10);
-    // console.log(`maxAge is ${maxAge} from ${util.inspect(cacheControl)}`);
+  get maxAge() {
+    return this._maxAge;
+  }
 
-    const date = this._getFirstHeaderNamed('DATE');
-    let messageDate;
-    if (!date) {
-      messageDate = this.timestamp;
-    } else {
-      messageDate = new Date(date.value);
-    }
-    // console.log(`messageDate is ${messageDate} from ${util.inspect(date)}`);
+  /**
+   * Gets when this message expires, which is max-age after the DATE
+   * header, if any, or else after the message was received.
+   *
+   * @returns {Number} The time in milliseconds since the epoch, or
+   * Infinity if the message has no max-age.
+   */
+  get expiresAt() {
+    return this._expiresAt;
+  }
 
-    return (messageDate.getTime() + (maxAge * 1000)) < Date.now();
+  /**
+   * Gets whether this message is expired.
+   */
+  get isExpired() {
+    return this._expiresAt < Date.now();
   }
 
   /**
@@ -197,6 +325,165 @@ class DiscoveryMessage {
     return this._getFirstHeaderNamed('USN');
   }
 
+  /**
+   * Gets the HOST headers, if any.
+   *
+   * @returns {Array} The HOST headers.
+   */
+  get HOST() {
+    return this._getHeadersNamed('HOST');
+  }
+
+  /**
+   * Gets the first HOST header, if any.
+   *
+   * @returns {DiscoveryMessageHeader} The first HOST header.
+   */
+  get HOST0() {
+    return this._getFirstHeaderNamed('HOST');
+  }
+
+  /**
+   * Gets the MAN headers, if any.
+   *
+   * @returns {Array} The MAN headers.
+   */
+  get MAN() {
+    return this._getHeadersNamed('MAN');
+  }
+
+  /**
+   * Gets the first MAN header, if any.
+   *
+   * @returns {DiscoveryMessageHeader} The first MAN header.
+   */
+  get MAN0() {
+    return this._getFirstHeaderNamed('MAN');
+  }
+
+  /**
+   * Gets the MX headers, if any.
+   *
+   * @returns {Array} The MX headers.
+   */
+  get MX() {
+    return this._getHeadersNamed('MX');
+  }
+
+  /**
+   * Gets the first MX header, if any.
+   *
+   * @returns {DiscoveryMessageHeader} The first MX header.
+   */
+  get MX0() {
+    return this._getFirstHeaderNamed('MX');
+  }
+
+  /**
+   * Gets the BOOTID.UPNP.ORG headers, if any.
+   *
+   * @returns {Array} The BOOTID.UPNP.ORG headers.
+   */
+  get BOOTID() {
+    return this._getHeadersNamed('BOOTID.UPNP.ORG');
+  }
+
+  /**
+   * Gets the first BOOTID.UPNP.ORG header, if any.
+   *
+   * @returns {DiscoveryMessageHeader} The BOOTID.UPNP.ORG header.
+   */
+  get BOOTID0() {
+    return this._getFirstHeaderNamed('BOOTID.UPNP.ORG');
+  }
+
+  /**
+   * Gets the CONFIGID.UPNP.ORG headers, if any.
+   *
+   * @returns {Array} The CONFIGID.UPNP.ORG headers.
+   */
+  get CONFIGID() {
+    return this._getHeadersNamed('CONFIGID.UPNP.ORG');
+  }
+
+  /**
+   * Gets the first CONFIGID.UPNP.ORG header, if any.
+   *
+   * @returns {DiscoveryMessageHeader} The CONFIGID.UPNP.ORG header.
+   */
+  get CONFIGID0() {
+    return this._getFirstHeaderNamed('CONFIGID.UPNP.ORG');
+  }
+
+  /**
+   * Gets the NEXTBOOTID.UPNP.ORG headers, if any.
+   *
+   * @returns {Array} The NEXTBOOTID.UPNP.ORG headers.
+   */
+  get NEXTBOOTID() {
+    return this._getHeadersNamed('NEXTBOOTID.UPNP.ORG');
+  }
+
+  /**
+   * Gets the first NEXTBOOTID.UPNP.ORG header, if any.
+   *
+   * @returns {DiscoveryMessageHeader} The NEXTBOOTID.UPNP.ORG header.
+   */
+  get NEXTBOOTID0() {
+    return this._getFirstHeaderNamed('NEXTBOOTID.UPNP.ORG');
+  }
+
+  /**
+   * Gets the SEARCHPORT.UPNP.ORG headers, if any.
+   *
+   * @returns {Array} The SEARCHPORT.UPNP.ORG headers.
+   */
+  get SEARCHPORT() {
+    return this._getHeadersNamed('SEARCHPORT.UPNP.ORG');
+  }
+
+  /**
+   * Gets the first SEARCHPORT.UPNP.ORG header, if any.
+   *
+   * @returns {DiscoveryMessageHeader} The SEARCHPORT.UPNP.ORG header.
+   */
+  get SEARCHPORT0() {
+    return this._getFirstHeaderNamed('SEARCHPORT.UPNP.ORG');
+  }
+
+  /**
+   * Parses the max-age of the CACHE-CONTROL header.
+   *
+   * @returns {Number} The max-age in seconds or undefined.
+   * @private
+   */
+  _parseMaxAge() {
+    const cacheControl = this._getFirstHeaderNamed('CACHE-CONTROL');
+    if (!cacheControl || !cacheControl.value) {
+      return undefined;
+    }
+    const match = /max-age\s*=\s*(\d+)/i.exec(cacheControl.value);
+    return match ? parseInt(match[1], 10) : undefined;
+  }
+
+  /**
+   * Computes when this message expires.
+   *
+   * @returns {Number} The time in milliseconds since the epoch or Infinity.
+   * @private
+   */
+  _computeExpiresAt() {
+    if (this._maxAge === undefined) {
+      return Infinity;
+    }
+    const date = this._getFirstHeaderNamed('DATE');
+    let messageTime = date ? new Date(date.value).getTime() : NaN;
+    if (isNaN(messageTime)) {
+      messageTime = this.timestamp.getTime();
+    }
+    return messageTime + (this._maxAge * 1000);
+  }
+
   /**
    * Gets the first header by name, if any.
    *
@@ -223,25 +510,146 @@ class DiscoveryMessage {
     });
   }
 
+  /**
+   * Checks the message against what the spec requires of its type,
+   * returning what is wrong.
+   *
+   * @returns {Array} The problems as strings.
+   * @private
+   */
+  _validate() {
+    const problems = [];
+    const startLine = this._statusLine.join(' ');
+    let required;
+    if (this.isNotify) {
+      if (startLine !== 'NOTIFY * HTTP/1.1') {
+        problems.push(`malformed request line: ${startLine}`);
+      }
+      const nts = headerValue(this.NTS0);
+      required = REQUIRED_NOTIFY_HEADERS[nts];
+      if (!required) {
+        problems.push(`unknown NTS: ${nts}`);
+        required = REQUIRED_NOTIFY_HEADERS['ssdp:byebye'];
+      }
+    } else if (this.isSearchRequest) {
+      if (startLine !== 'M-SEARCH * HTTP/1.1') {
+        problems.push(`malformed request line: ${startLine}`);
+      }
+      required = REQUIRED_SEARCH_HEADERS;
+      if (this.MAN0 && this.MAN0.value !== '"ssdp:discover"') {
+        problems.push(`MAN is not "ssdp:discover": ${this.MAN0.value}`);
+      }
+    } else if (this.isSearchResponse) {
+      if (this._statusLine[1] !== '200') {
+        problems.push(`status is not 200: ${startLine}`);
+      }
+      required = REQUIRED_RESPONSE_HEADERS;
+    } else {
+      problems.push(`unknown start line: ${startLine}`);
+      required = [];
+    }
+    required.forEach((name) => {
+      const header = this._getFirstHeaderNamed(name);
+      if (!header) {
+        problems.push(`missing ${name} header`);
+      } else if (!header.value && name !== 'EXT') {
+        problems.push(`empty ${name} header`);
+      }
+    });
+    if (required.indexOf('CACHE-CONTROL') !== -1 &&
+        this._getFirstHeaderNamed('CACHE-CONTROL') && this._maxAge === undefined) {
+      problems.push('CACHE-CONTROL has no max-age');
+    }
+    if (this.USN0 && this.USN0.value && !parseUSN(this.USN0.value)) {
+      problems.push(`USN does not start with uuid: ${this.USN0.value}`);
+    }
+    return problems;
+  }
+
+  /**
+   * Gets the message in a form that can be written as JSON and read back
+   * with {@link DiscoveryMessage.fromJSON}.  The receipt timestamp is kept,
+   * so the message expires when it would have.
+   *
+   * @returns {Object} The message as plain data.
+   */
+  toJSON() {
+    return {
+      remoteAddress: this._remoteAddress,
+      timestamp: this._timestamp.toISOString(),
+      statusLine: this._statusLine,
+      headers: this._headers.map((header) => { return [header.header, header.value]; }),
+      networkInterface: this._networkInterface
+    };
+  }
+
+  /**
+   * Factory that creates a message from what {@link DiscoveryMessage#toJSON}
+   * gave.
+   *
+   * @param json {Object} The message as plain data.
+   * @returns A new DiscoveryMessage.
+   * @static
+   */
+  static fromJSON(json) {
+    const headers = json.headers.map((header) => {
+      return new DiscoveryMessageHeader(header[0], header[1]);
+    });
+    return new DiscoveryMessage(json.remoteAddress, new Date(json.timestamp), json.statusLine,
+        headers, json.networkInterface);
+  }
+
   /**
    * Factory that parses a string that is the full discovery message,
-   * both status line and headers.
+   * both start line and headers.
+   *
+   * Devices get the format wrong in various ways, so the parse is
+   * forgiving: lines may end in LF rather than CRLF, headers may be folded
+   * over several lines and header names may be in any case.  Lines that
+   * are not headers are dropped.  Each deviation, and each header missing
+   * for the type of message, is recorded in the warnings of the message.
    *
    * @param remoteAddress {Address} The address from which the message was received.
    * @param timestamp {Date} The instant at which the message was received.
    * @param msg {String} The message as a string.
+   * @param networkInterface {Object} The interface on which the message arrived, if known.
    * @returns A new DiscoveryMessage.
    * @static
    */
-  static parseString(remoteAddress, timestamp, msg) {
-    let lines = msg.split('\r\n');
-    if (lines.length === 1) {
-      lines = msg.split('\r\n');
+  static parseString(remoteAddress, timestamp, msg, networkInterface) {
+    const warnings = [];
+    if (/(^|[^\r])\n/.test(msg)) {
+      warnings.push('lines end in LF rather than CRLF');
+    }
+    const lines = msg.split(/\r?\n/);
+    const end = lines.indexOf('', 1);
+    const headerLines = lines.slice(1, end === -1 ? lines.length : end);
+    if (end === -1) {
+      warnings.push('no empty line after the headers');
     }
     const statusLine = DiscoveryMessage._parseStatusLine(lines[0]);
-    const headers = lines.slice(1).filter((line) => { return line.length > 0; })
-        .map(DiscoveryMessage._parseHeaderLine);
-    return new DiscoveryMessage(remoteAddress, timestamp, statusLine, headers);
+    const headers = [];
+    headerLines.forEach((line) => {
+      if (/^[ \t]/.test(line)) {
+        const folded = headers.pop();
+        if (folded) {
+          warnings.push(`folded ${folded.header} header`);
+          headers.push(new DiscoveryMessageHeader(folded.header,
+              `${folded.value} ${line.trim()}`.trim()));
+        } else {
+          warnings.push(`continuation line with no header: ${line.trim()}`);
+        }
+        return;
+      }
+      const header = DiscoveryMessage._parseHeaderLine(line);
+      if (header.value === undefined) {
+        warnings.push(`not a header: ${line}`);
+      } else {
+        headers.push(header);
+      }
+    });
+    return new DiscoveryMessage(remoteAddress, timestamp, statusLine, headers, networkInterface,
+        warnings);
   }
 
   /**
@@ -255,7 +663,7 @@ class DiscoveryMessage {
   static _parseHeaderLine(line) {
     const idx = line.indexOf(':');
     if (idx >= 0) {
-      return new DiscoveryMessageHeader(line.substr(0, idx), line.substr(idx + 1).trim());
+      return new DiscoveryMessageHeader(line.substr(0, idx).trim(), line.substr(idx + 1).trim());
     }
     return new DiscoveryMessageHeader(line, undefined);
   }
@@ -269,7 +677,7 @@ class DiscoveryMessage {
    * @private
    */
   static _parseStatusLine(line) {
-    return line.split(/\s+/);
+    return line.trim().split(/\s+/);
   }
 
 }
@@ -286,13 +694,41 @@ class DiscoveryMessage {
  *
  * N.B. In practice, the LOCATION header value is typically duplicated
  * across the service messages from a device.
+ *
+ * The store emits events as messages come and go, each for one USN:
+ *   added (message) when a USN is first stored
+ *   updated (message, previous) when the LOCATION or BOOTID.UPNP.ORG of a USN changes
+ *   refreshed (message, previous) when a USN is announced again with no such change
+ *   removed (message, reason) when a USN says byebye or its message expires,
+ *     for the reason given to removeByLocation, or 'cleared' when the store is cleared
+ *   cleared when the store is cleared
+ *   ignored (message) when a message is not stored for want of a required
+ *     header, which its warnings name
+ *
+ * UPnP 1.1 devices also send BOOTID.UPNP.ORG, which changes when the device
+ * reboots, and CONFIGID.UPNP.ORG, which changes when its description does.
+ * These are tracked per device UUID, and the store emits:
+ *   rebooted (uuid, bootId, previous) when a device comes back with a new BOOTID,
+ *     after which its descriptions and control URLs should not be trusted
+ *   config-changed (uuid, configId, previous) when a device has a new CONFIGID,
+ *     after which its descriptions should be fetched again
+ *
+ * An ssdp:update tells of a new BOOTID (NEXTBOOTID.UPNP.ORG) that is not a
+ * reboot, such as when a device joins another network, so it is recorded
+ * without a rebooted event.
+ *
+ * Each message is removed by a timer when its max-age runs out, whether or
+ * not anyone is reading the store.
  */
-class DiscoveryMessageStore {
+class DiscoveryMessageStore extends EventEmitter {
   /**
    * Creates an empty store.
    */
   constructor() {
+    super();
     this._messages = [];
+    this._expiryTimers = new Map();
+    this._deviceStates = new Map();
   }
 
   /**
@@ -304,189 +740,1189 @@ class DiscoveryMessageStore {
    * @returns {Array} The messages.
    */
   get messages() {
-    // Take the opportunity to filter out expired messages
-    this._messages = this._messages.filter((message) => { return !message.isExpired; });
     return this._messages;
   }
 
   /**
-   * Clears the message store.
+   * Clears the message store.  removed is emitted for each message, with
+   * the reason 'cleared', and then cleared is emitted once.
+   *
+   * What the store knows of each device's BOOTID.UPNP.ORG and
+   * CONFIGID.UPNP.ORG is kept, so a reboot or configuration change that
+   * falls across a clear, such as that of a search, is still noticed.
    */
   clear() {
+    const removed = this._messages;
+    this._expiryTimers.forEach((timer) => { clearTimeout(timer); });
+    this._expiryTimers.clear();
     this._messages = [];
+    removed.forEach((message) => { this.emit('removed', message, 'cleared'); });
+    this.emit('cleared');
   }
 
   /**
-   * Updates the store with a message.
+   * Adds messages that were saved earlier, such as by {@link DiscoveryMessageStore#toJSON},
+   * skipping those that have expired and those for a USN already in the store.
    *
-   * @param discoveryMessage {DiscoveryMessage} The message.
+   * @param messages {Array} The messages as DiscoveryMessage.
+   * @returns {Array} The messages added.
    */
-  update(discoveryMessage) {
-    const usn0 = discoveryMessage.USN0;
-    const location0 = discoveryMessage.LOCATION0;
-    const nts0 = discoveryMessage.NTS0;
-
-    if (!(usn0 && location0 && (discoveryMessage.isSearchResponse || nts0))) {
-      console.log(`Discovery message missing required header: ${util.inspect(discoveryMessage)}`);
-      return;
-    }
-    const existingIndex = this._messages.findIndex((message) => {
-      return message.USN0.value === usn0.value;
+  restore(messages) {
+    const restored = messages.filter((message) => {
+      return message.USN0 && !message.isExpired && !this._messages.some((m) => {
+        return m.USN0.value === message.USN0.value;
+      });
     });
-    if (existingIndex === -1) {
-      if (discoveryMessage.isSearchRespone || nts0 !== 'ssdp:byebye') {
-        this._messages.push(discoveryMessage);
-      } else {
-        // do nothing with a byebye if the USN is not in the store
-      }
-    } else {
-      if (discoveryMessage.isSearchResponse || nts0 !== 'ssdp:byebye') {
-        this._messages[existingIndex] = discoveryMessage;
-      } else {
-        this._messages.splice(existingIndex, 1);
-      }
-    }
+    restored.forEach((message) => {
+      this._messages.push(message);
+      this._trackDevice(message);
+      this._scheduleExpiry(message);
+      this.emit('added', message);
+    });
+    return restored;
   }
 
   /**
-   * Finds messages in the store by the value of the ST header, which
-   * specifies the service type for messages in response to a search.
-   * Announcement messages do not have an ST header, so this is an
-   * unreliable way to find something.
+   * Removes the messages with a LOCATION, such as when the description
+   * there cannot be fetched.
    *
-   * @param ST {String} The value of the ST header.
-   * @returns {Array} The messages in the store.
+   * @param location {String} The LOCATION.
+   * @param reason {String} The reason given with removed.
+   * @returns {Array} The messages removed.
    */
-  findByST(ST) {
-    return this.messages.filter((discoveryMessage) => {
-      return discoveryMessage.ST.some((st) => {
-        return st.value === ST;
-      });
+  removeByLocation(location, reason) {
+    const removed = this._messages.filter((message) => {
+      return headerValue(message.LOCATION0) === location;
+    });
+    removed.forEach((message) => {
+      this._messages.splice(this._messages.indexOf(message), 1);
+      this._cancelExpiry(message.USN0.value);
+      this._forgetDevice(message);
+      this.emit('removed', message, reason);
     });
+    return removed;
   }
-}
 
-/**
- * Manages discovery interaction with devices, maintaining
- * a store of discovery messages.
- *
- * TODO: re-factor this into a base service that emits
- * an event for each message received and a service on
- * top of that which maintains the store of discovery messages.
- */
-class DiscoveryService {
   /**
-   * Creates the service.  The service does nothing until it
-   * is started.
+   * Gets the messages in a form that can be written as JSON.
    *
-   * @param enableLog {boolean} Whether to enable console logging.
+   * @returns {Array} The messages as plain data.
    */
-  constructor(enableLog) {
-    this._enableLog = enableLog;
-    this._messageStore = new DiscoveryMessageStore();
-    this._socket = null;
+  toJSON() {
+    return this._messages.map((message) => { return message.toJSON(); });
   }
 
   /**
-   * Gets the message store maintained by this server.
+   * Gets what the UPnP 1.1 headers say of a device.
    *
-   * Note that this retrieves the actual message store,
-   * not a clone.  Client code can call methods on the
-   * store that make its contents invalid or incomplete.
+   * @param uuid {String} The device UUID, with or without the uuid: prefix.
+   * @returns {Object} The bootId, configId and searchPort, any of which may be
+   * undefined, or undefined if the device is not known.  A device is known
+   * until its last message says byebye or expires; clearing the store does
+   * not forget it.
+   */
+  getDeviceState(uuid) {
+    const state = this._deviceStates.get(uuid.replace(/^uuid:/i, ''));
+    return state ? Object.assign({}, state) : undefined;
+  }
+
+  /**
+   * Gets the time until the message for a USN expires.
    *
-   * @returns {DiscoveryMessageStore} The message store.
+   * @param usn {String} The USN.
+   * @returns {Number} The time in milliseconds, Infinity if the message
+   * has no max-age, or undefined if the USN is not in the store.
    */
-  get messageStore() {
-    return this._messageStore;
+  timeToLive(usn) {
+    const message = this._messages.find((m) => { return m.USN0.value === usn; });
+    if (!message) {
+      return undefined;
+    }
+    return Math.max(0, message.expiresAt - Date.now());
   }
 
   /**
-   * Gets the locations from all discovery messages.
+   * Gets the messages that expire within a time, such as those for
+   * which a search might be sent to refresh them.
    *
-   * @returns {Set} The locations from all discovery messages.
+   * @param ms {Number} The time in milliseconds.
+   * @returns {Array} The messages.
    */
-  getLocations() {
-    const locations = new Set();
-    this.messageStore.messages.forEach((message) => {
-      message.LOCATION.forEach((header) => {
-        locations.add(header.value);
-      });
-    });
-    return locations;
+  getExpiringWithin(ms) {
+    const limit = Date.now() + ms;
+    return this._messages.filter((message) => { return message.expiresAt <= limit; });
   }
 
   /**
-   * Sends a discovery search message.
+   * Sets the timer that removes a message when it expires, replacing any
+   * timer for the same USN.
    *
-   * @param searchTarget {String} The thing(s) to search for, ssdp:all for all.
-   * @param callback {Function} Called when send is complete.
+   * @param message {DiscoveryMessage} The message.
+   * @private
    */
-  startSearch(searchTarget, callback) {
-    if (this._socket === null) {
+  _scheduleExpiry(message) {
+    const usn = message.USN0.value;
+    this._cancelExpiry(usn);
+    if (message.expiresAt === Infinity) {
+      return;
+    }
+    // setTimeout cannot wait longer than this, so long waits are done in steps
+    const delay = Math.min(Math.max(0, message.expiresAt - Date.now()), MAX_TIMER_DELAY);
+    const timer = setTimeout(() => {
+      this._expiryTimers.delete(usn);
+      if (message.isExpired) {
+        this._expire(message);
+      } else {
+        this._scheduleExpiry(message);
+      }
+    }, delay);
+    timer.unref();
+    this._expiryTimers.set(usn, timer);
+  }
+
+  /**
+   * Cancels the expiry timer for a USN, if any.
+   *
+   * @param usn {String} The USN.
+   * @private
+   */
+  _cancelExpiry(usn) {
+    const timer = this._expiryTimers.get(usn);
+    if (timer) {
+      clearTimeout(timer);
+      this._expiryTimers.delete(usn);
+    }
+  }
+
+  /**
+   * Removes an expired message.
+   *
+   * @param message {DiscoveryMessage} The message.
+   * @private
+   */
+  _expire(message) {
+    const index = this._messages.indexOf(message);
+    if (index !== -1) {
+      this._messages.splice(index, 1);
+      this._forgetDevice(message);
+      this.emit('removed', message, 'expired');
+    }
+  }
+
+  /**
+   * Records the BOOTID.UPNP.ORG, CONFIGID.UPNP.ORG and SEARCHPORT.UPNP.ORG
+   * of the device of an alive message or search response, emitting
+   * rebooted or config-changed if they have changed.
+   *
+   * @param message {DiscoveryMessage} The message.
+   * @private
+   */
+  _trackDevice(message) {
+    const usn = parseUSN(message.USN0.value);
+    if (!usn) {
+      return;
+    }
+    const bootId = headerInteger(message.BOOTID0);
+    const configId = headerInteger(message.CONFIGID0);
+    const searchPort = headerInteger(message.SEARCHPORT0);
+    const state = this._deviceStates.get(usn.uuid);
+    if (!state) {
+      this._deviceStates.set(usn.uuid, { bootId, configId, searchPort });
+      return;
+    }
+    const previousBootId = state.bootId;
+    const previousConfigId = state.configId;
+    state.searchPort = searchPort;
+    if (bootId !== undefined) {
+      state.bootId = bootId;
+    }
+    if (configId !== undefined) {
+      state.configId = configId;
+    }
+    if (bootId !== undefined && previousBootId !== undefined && bootId !== previousBootId) {
+      this.emit('rebooted', usn.uuid, bootId, previousBootId);
+    }
+    if (configId !== undefined && previousConfigId !== undefined &&
+        configId !== previousConfigId) {
+      this.emit('config-changed', usn.uuid, configId, previousConfigId);
+    }
+  }
+
+  /**
+   * Handles an ssdp:update, which moves a known device from BOOTID.UPNP.ORG
+   * to NEXTBOOTID.UPNP.ORG without a reboot.  An update from a device that
+   * is not known, or that does not have the BOOTID we know, is ignored;
+   * a search will find out what it is up to.
+   *
+   * @param message {DiscoveryMessage} The ssdp:update.
+   * @private
+   */
+  _applyUpdate(message) {
+    const usn = parseUSN(message.USN0.value);
+    const state = usn && this._deviceStates.get(usn.uuid);
+    const bootId = headerInteger(message.BOOTID0);
+    const nextBootId = headerInteger(message.NEXTBOOTID0);
+    if (!state || nextBootId === undefined ||
+        (state.bootId !== undefined && bootId !== state.bootId)) {
+      return;
+    }
+    state.bootId = nextBootId;
+    const searchPort = headerInteger(message.SEARCHPORT0);
+    if (searchPort !== undefined) {
+      state.searchPort = searchPort;
+    }
+    const configId = headerInteger(message.CONFIGID0);
+    if (configId !== undefined && state.configId !== undefined && configId !== state.configId) {
+      const previousConfigId = state.configId;
+      state.configId = configId;
+      this.emit('config-changed', usn.uuid, configId, previousConfigId);
+    }
+  }
+
+  /**
+   * Forgets the state of the device of a removed message, if the device
+   * has no other messages in the store.
+   *
+   * @param message {DiscoveryMessage} The removed message.
+   * @private
+   */
+  _forgetDevice(message) {
+    const usn = parseUSN(message.USN0.value);
+    if (!usn) {
+      return;
+    }
+    const remaining = this._messages.some((m) => {
+      const other = parseUSN(m.USN0.value);
+      return other && other.uuid === usn.uuid;
+    });
+    if (!remaining) {
+      this._deviceStates.delete(usn.uuid);
+    }
+  }
+
+  /**
+   * Updates the store with a message.  A message without the headers it
+   * needs is not stored, and ignored is emitted instead.
+   *
+   * @param discoveryMessage {DiscoveryMessage} The message.
+   */
+  update(discoveryMessage) {
+    const usn0 = discoveryMessage.USN0;
+    const location0 = discoveryMessage.LOCATION0;
+    const nts0 = discoveryMessage.NTS0;
+
+    const isByeBye = !discoveryMessage.isSearchResponse && !!nts0 && nts0.value === 'ssdp:byebye';
+
+    if (!discoveryMessage.isSearchResponse && nts0 && nts0.value === 'ssdp:update') {
+      if (usn0) {
+        this._applyUpdate(discoveryMessage);
+      }
+      return;
+    }
+
+    // A byebye has no LOCATION
+    if (!(usn0 && (location0 || isByeBye) && (discoveryMessage.isSearchResponse || nts0))) {
+      this.emit('ignored', discoveryMessage);
+      return;
+    }
+    const existingIndex = this._messages.findIndex((message) => {
+      return message.USN0.value === usn0.value;
+    });
+    if (!isByeBye) {
+      this._trackDevice(discoveryMessage);
+    }
+    if (existingIndex === -1) {
+      if (!isByeBye) {
+        this._messages.push(discoveryMessage);
+        this._scheduleExpiry(discoveryMessage);
+        this.emit('added', discoveryMessage);
+      } else {
+        // do nothing with a byebye if the USN is not in the store
+      }
+    } else {
+      const existing = this._messages[existingIndex];
+      if (!isByeBye) {
+        this._messages[existingIndex] = discoveryMessage;
+        this._scheduleExpiry(discoveryMessage);
+        if (location0.value !== existing.LOCATION0.value ||
+            headerValue(discoveryMessage.BOOTID0) !== headerValue(existing.BOOTID0)) {
+          this.emit('updated', discoveryMessage, existing);
+        } else {
+          this.emit('refreshed', discoveryMessage, existing);
+        }
+      } else {
+        this._messages.splice(existingIndex, 1);
+        this._cancelExpiry(usn0.value);
+        this._forgetDevice(existing);
+        this.emit('removed', existing, 'byebye');
+      }
+    }
+  }
+
+  /**
+   * Finds messages in the store by the value of the ST header, which
+   * specifies the service type for messages in response to a search.
+   * Announcement messages do not have an ST header, so this is an
+   * unreliable way to find something.
+   *
+   * @param ST {String} The value of the ST header.
+   * @returns {Array} The messages in the store.
+   */
+  findByST(ST) {
+    return this.messages.filter((discoveryMessage) => {
+      return discoveryMessage.ST.some((st) => {
+        return st.value === ST;
+      });
+    });
+  }
+}
+
+/**
+ * Checks that a LOCATION still answers.
+ *
+ * @param location {String} The LOCATION.
+ * @param timeout {Number} The milliseconds to wait.
+ * @param callback {Function} Called with whether it answered with 200.
+ * @private
+ */
+function verifyLocation(location, timeout, callback) {
+  const options = {
+    uri: location,
+    method: 'GET',
+    timeout: timeout,
+    headers: {
+      'user-agent': `${os.platform()}/${os.release()} UPnP/1.1 ${PRODUCT}/${PRODUCT_VERSION}`
+    }
+  };
+  request(options, (err, response) => {
+    callback(!err && response.statusCode === 200);
+  });
+}
+
+/**
+ * Gets the family of an address from os.networkInterfaces(), which some
+ * versions of Node give as a number.
+ *
+ * @param addr {Object} The address.
+ * @returns {String} IPv4 or IPv6.
+ * @private
+ */
+function familyOf(addr) {
+  return (addr.family === 'IPv6' || addr.family === 6) ? 'IPv6' : 'IPv4';
+}
+
+/**
+ * Lists the addresses of the network interfaces to discover on.
+ *
+ * @param names {Array} The interface names or addresses to include, or
+ * undefined for every interface that is not internal.
+ * @returns {Array} The addresses, each with name, address, family and netmask.
+ */
+function listNetworkInterfaces(names) {
+  const all = os.networkInterfaces();
+  const addresses = [];
+  Object.keys(all).forEach((name) => {
+    all[name].forEach((addr) => {
+      const included = names ?
+        (names.indexOf(name) !== -1 || names.indexOf(addr.address) !== -1) : !addr.internal;
+      if (included) {
+        addresses.push({
+          name: name,
+          address: addr.address,
+          family: familyOf(addr),
+          netmask: addr.netmask
+        });
+      }
+    });
+  });
+  return addresses;
+}
+
+/**
+ * Converts an address to its bytes, ignoring any scope.
+ *
+ * @param address {String} The IPv4 or IPv6 address.
+ * @returns {Array} The bytes, 4 or 16 of them.
+ * @private
+ */
+function addressBytes(address) {
+  const plain = address.split('%')[0];
+  if (plain.indexOf(':') === -1) {
+    return plain.split('.').map((part) => { return parseInt(part, 10); });
+  }
+  const halves = plain.split('::');
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+  const zeros = new Array(8 - head.length - tail.length).fill('0');
+  const bytes = [];
+  head.concat(zeros, tail).forEach((hextet) => {
+    const n = parseInt(hextet, 16);
+    bytes.push(Math.floor(n / 256), n % 256);
+  });
+  return bytes;
+}
+
+/**
+ * Gets whether two addresses are on the same subnet.
+ *
+ * @param a {String} An address.
+ * @param b {String} Another address of the same family.
+ * @param netmask {String} The netmask of the subnet.
+ * @returns {boolean} Whether they are on the same subnet.
+ * @private
+ */
+function sameSubnet(a, b, netmask) {
+  const aBytes = addressBytes(a);
+  const bBytes = addressBytes(b);
+  const maskBytes = addressBytes(netmask);
+  if (aBytes.length !== bBytes.length || aBytes.length !== maskBytes.length) {
+    return false;
+  }
+  // Each byte of a netmask is some ones then zeros, 256 - 2 ** zeros, so
+  // masking a byte is dropping its remainder by 2 ** zeros
+  return maskBytes.every((mask, i) => {
+    const unmasked = 256 - mask;
+    return Math.floor(aBytes[i] / unmasked) === Math.floor(bBytes[i] / unmasked);
+  });
+}
+
+/**
+ * Gets whether an IPv4 address is a multicast address.
+ *
+ * @param address {String} The address.
+ * @returns {boolean} Whether it is multicast.
+ * @private
+ */
+function isMulticastAddress(address) {
+  const first = parseInt(address.split('.')[0], 10);
+  return first >= 224 && first <= 239;
+}
+
+/**
+ * Manages discovery interaction with devices, maintaining
+ * a store of discovery messages.
+ *
+ * Two kinds of socket are used.  The NOTIFY sockets, one per address
+ * family, are bound to the SSDP port (1900), join the multicast groups
+ * on each network interface and only accept NOTIFY messages.  They are
+ * shared with any other SSDP stack on the host, and if the port cannot
+ * be had, the service carries on without them.  The search sockets, one
+ * per network interface, are bound to an ephemeral port, send M-SEARCH
+ * requests out of their interface and only accept HTTP/1.1 search
+ * responses.
+ *
+ * By default, every network interface that is not internal is used for
+ * IPv4 (239.255.255.250).  IPv6 (FF02::C link-local and FF05::C
+ * site-local) is used only if asked for.  Each message records the
+ * interface on which it arrived.
+ *
+ * The service emits:
+ *   listening (address) when started, with the address of the first search socket
+ *   error (err) for socket errors, if anyone is listening for them
+ *   message (message) for each NOTIFY or search response received
+ *   device-added (message) when a device UUID is first seen, with its first message
+ *   device-updated (message, previous) when the LOCATION or BOOTID.UPNP.ORG of a
+ *     device changes
+ *   device-removed (message, reason) when the last message of a device is
+ *     removed, because it said byebye ('byebye'), it expired ('expired'), its
+ *     LOCATION did not answer after a restore ('unverified'), or a search
+ *     that cleared the store did not find it again ('cleared')
+ *   device-rebooted (uuid, bootId, previous) when a device has a new BOOTID.UPNP.ORG
+ *   device-config-changed (uuid, configId, previous) when a device has a new
+ *     CONFIGID.UPNP.ORG
+ *   reconciled when a search that cleared the store has had time to find
+ *     the devices again, after device-removed for those it did not find
+ *
+ * The device events are per device UUID, whereas the store has a message
+ * for each USN, of which a device sends several.  A device that a search
+ * clears from the store is only removed if the search does not find it
+ * again within MX seconds.
+ *
+ * The message store is itself maintained from the message events.
+ */
+class DiscoveryService extends EventEmitter {
+  /**
+   * Creates the service.  The service does nothing until it
+   * is started.
+   *
+   * The options are:
+   *   enableLog {boolean} Whether to enable console logging.
+   *   interfaces {Array} The names (e.g. eth0) or addresses of the network
+   *     interfaces to use, by default every one that is not internal.
+   *   ipv6 {boolean} Whether to also discover over IPv6, by default false.
+   *   ipv6MulticastAddresses {Array} The IPv6 multicast groups, by default
+   *     FF02::C and FF05::C.
+   *   multicastAddress {String} The SSDP multicast group, by default 239.255.255.250.
+   *   notifyPort {Number} The port for NOTIFY messages and the destination port
+   *     of searches, by default 1900.  null to not listen for NOTIFY messages.
+   *   searchAddress {String} The IPv4 destination of searches, by default the
+   *     multicast group.  A unicast address, such as 127.0.0.1, reaches a stand-in.
+   *   searchPort {Number} The local port of the search sockets, by default
+   *     0 for an ephemeral port.
+   *   persistence {Object} Where to save the message store and restore it from
+   *     when started, such as a JsonFilePersistence.  By default the store is
+   *     not saved.  With persistence, searches do not clear the store unless
+   *     asked to.
+   *   verifyTimeout {Number} The milliseconds to wait for the LOCATION of a
+   *     restored message to answer before removing it, by default 5000.
+   *
+   * @param options {Object} The options, or just enableLog as a boolean.
+   */
+  constructor(options) {
+    super();
+    const opts = (typeof options === 'object' && options) ? options : { enableLog: options };
+    this._enableLog = opts.enableLog;
+    this._interfaceNames = opts.interfaces;
+    this._ipv6 = !!opts.ipv6;
+    this._ipv6MulticastAddresses = opts.ipv6MulticastAddresses || IPV6_MULTICAST_ADDRESSES;
+    this._multicastAddress = opts.multicastAddress || DISCOVERY_MULTICAST_ADDRESS;
+    this._notifyPort = opts.notifyPort === undefined ? DISCOVERY_PORT : opts.notifyPort;
+    this._searchAddress = opts.searchAddress || this._multicastAddress;
+    this._searchPort = opts.searchPort || 0;
+    this._messageStore = new DiscoveryMessageStore();
+    this._persistence = opts.persistence;
+    this._verifyTimeout = opts.verifyTimeout || DEFAULT_VERIFY_TIMEOUT;
+    this._restored = false;
+    this._saveTimer = null;
+    this._networkInterfaces = [];
+    this._notifySockets = [];
+    this._searchSockets = [];
+    this._devices = new Map();
+    this._clearedDevices = new Set();
+    this._reconcileTimer = null;
+    this._searchWindow = undefined;
+
+    this.on('message', (discoveryMessage) => {
+      this._messageStore.update(discoveryMessage);
+    });
+    this._messageStore.on('added', (message) => {
+      this._deviceSeen(message);
+    });
+    this._messageStore.on('updated', (message) => {
+      this._deviceSeen(message);
+    });
+    this._messageStore.on('removed', (message, reason) => {
+      this._deviceGone(message, reason);
+    });
+    this._messageStore.on('cleared', () => {
+      this._scheduleReconcile();
+    });
+    this._messageStore.on('ignored', (message) => {
+      if (this._enableLog) {
+        console.log(`Discovery message missing required header (${message.warnings.join('; ')}): ` +
+            `${util.inspect(message)}`);
+      }
+    });
+    this._messageStore.on('rebooted', (uuid, bootId, previous) => {
+      this.emit('device-rebooted', uuid, bootId, previous);
+    });
+    this._messageStore.on('config-changed', (uuid, configId, previous) => {
+      this.emit('device-config-changed', uuid, configId, previous);
+    });
+    if (this._persistence) {
+      ['added', 'updated', 'removed', 'cleared'].forEach((event) => {
+        this._messageStore.on(event, () => { this._scheduleSave(); });
+      });
+    }
+  }
+
+  /**
+   * Gets the message store maintained by this server.
+   *
+   * Note that this retrieves the actual message store,
+   * not a clone.  Client code can call methods on the
+   * store that make its contents invalid or incomplete.
+   *
+   * @returns {DiscoveryMessageStore} The message store.
+   */
+  get messageStore() {
+    return this._messageStore;
+  }
+
+  /**
+   * Gets whether NOTIFY messages are being received.  This is false if
+   * the service is not started, was told not to listen for them, or
+   * could not bind the NOTIFY port.
+   *
+   * @returns {boolean} Whether NOTIFY messages are being received.
+   */
+  get isListeningForNotify() {
+    return this._notifySockets.length > 0;
+  }
+
+  /**
+   * Gets the network interfaces in use, each with name, address, family
+   * and netmask.  This is empty until the service is started, and if no
+   * interfaces were found, in which case the operating system chooses.
+   *
+   * @returns {Array} The network interfaces.
+   */
+  get networkInterfaces() {
+    return this._networkInterfaces;
+  }
+
+  /**
+   * Gets the locations from all discovery messages.
+   *
+   * @returns {Set} The locations from all discovery messages.
+   */
+  getLocations() {
+    const locations = new Set();
+    this.messageStore.messages.forEach((message) => {
+      message.LOCATION.forEach((header) => {
+        locations.add(header.value);
+      });
+    });
+    return locations;
+  }
+
+  /**
+   * Sends a discovery search message out of each search socket.
+   *
+   * The options are:
+   *   mx {Number} The most seconds devices should wait before responding,
+   *     1 to 5, by default 2.
+   *   clear {boolean} Whether to clear the message store first, by default
+   *     true, unless the service has persistence, in which case false so the
+   *     store restored from it, and verified since, is kept.  Kept messages
+   *     still expire as usual.
+   *
+   * @param searchTarget {String} The thing(s) to search for, ssdp:all for all.
+   * @param options {Object} The options, if any.
+   * @param callback {Function} Called when send is complete, with an error
+   * only if no search could be sent.  Other errors are emitted.
+   */
+  startSearch(searchTarget, options, callback) {
+    if (typeof options === 'function') {
+      this.startSearch(searchTarget, {}, options);
+      return;
+    }
+    if (this._searchSockets.length === 0) {
       throw new Error('Server not started');
     }
-    this._messageStore.clear();
-    const searchRequest = 'M-SEARCH * HTTP/1.1\r\n' +
-      `HOST: ${DISCOVERY_MULTICAST_ADDRESS}:${DISCOVERY_PORT}\r\n` +
-      'MAN: "ssdp:discover"\r\n' +
-      'MX: 2\r\n' +
-      `ST: ${searchTarget}\r\n` +
-      `USER-AGENT: ${os.platform()}/${os.release()} UPnP/1.1 ${PRODUCT}/${PRODUCT_VERSION}\r\n` +
-      '\r\n';
-    // console.log(`sending search:\n${searchRequest}`);
-    this._socket.send(searchRequest, 0, searchRequest.length, DISCOVERY_PORT,
-        DISCOVERY_MULTICAST_ADDRESS, (err) => {
-          callback(err);
+    const opts = options || {};
+    const mx = Math.min(Math.max(Math.round(opts.mx || DEFAULT_MX), 1), MAX_MX);
+    const clear = opts.clear === undefined ? !this._persistence : opts.clear;
+    if (clear) {
+      this._searchWindow = (mx * 1000) + RESPONSE_ALLOWANCE;
+      this._messageStore.clear();
+    }
+    const port = this._notifyPort || DISCOVERY_PORT;
+    const sends = [];
+    this._searchSockets.forEach((entry) => {
+      if (entry.family === 'IPv4') {
+        sends.push({ entry, address: this._searchAddress, host: `${this._multicastAddress}:${port}` });
+      } else {
+        this._ipv6MulticastAddresses.forEach((group) => {
+          sends.push({ entry, address: group, host: `[${group}]:${port}` });
         });
+      }
+    });
+    Promise.all(sends.map((send) => {
+      const searchRequest = DiscoveryService._searchRequest(send.host, searchTarget, mx);
+      // console.log(`sending search:\n${searchRequest}`);
+      return new Promise((resolve) => {
+        send.entry.socket.send(searchRequest, 0, searchRequest.length, port, send.address,
+            (err) => { resolve(err); });
+      });
+    })).then((errors) => {
+      const failures = errors.filter((err) => { return err; });
+      if (failures.length === errors.length) {
+        callback(failures[0]);
+      } else {
+        failures.forEach((err) => { this._emitError(err); });
+        callback(null);
+      }
+    });
   }
 
   /**
    * Starts the discovery service.  This should only be called once.
    *
-   * @param callback {Function} Called when the server starts listening.
+   * @param callback {Function} Called when the server starts listening, if given,
+   * with the address of the first search socket.
    */
   startService(callback) {
-    // TODO: listen on two sockets.  One is bound to only the multicast
-    // address, added to the mutlicast group and only accepts NOTIFY
-    // messages.  The other is bound to all interfaces and only accepts
-    // HTTP/1.1 response messages.
-    if (this._socket !== null) {
+    if (this._searchSockets.length !== 0) {
       throw new Error('Server already started');
     }
 
-    this._socket = dgram.createSocket('udp4');
+    this._networkInterfaces = listNetworkInterfaces(this._interfaceNames).filter((ni) => {
+      return ni.family === 'IPv4' || this._ipv6;
+    });
+    const ipv4Interfaces = this._networkInterfaces.filter((ni) => { return ni.family === 'IPv4'; });
+    // One interface per name for IPv6, since the scope is the interface name
+    const ipv6Interfaces = this._networkInterfaces.filter((ni, index, all) => {
+      return ni.family === 'IPv6' && all.findIndex((other) => {
+        return other.family === 'IPv6' && other.name === ni.name;
+      }) === index;
+    });
 
-    this._socket.on('error', (err) => {
-      // console.log(`discovery server error:\n${err.stack}`);
-      callback(err, null);
-      this._socket.close();
+    // Searches of a unicast stand-in, or with no interfaces found, go
+    // wherever the operating system sends them
+    const searchInterfaces = (ipv4Interfaces.length && isMulticastAddress(this._searchAddress)) ?
+      ipv4Interfaces : [undefined];
+    const searchesBound = Promise.all(searchInterfaces.map((ni) => {
+      return this._bindSearchSocket('IPv4', ni);
+    }).concat(ipv6Interfaces.map((ni) => {
+      return this._bindSearchSocket('IPv6', ni);
+    }))).then((entries) => {
+      this._searchSockets = entries.filter((entry) => { return entry; });
+      if (this._searchSockets.length === 0) {
+        throw new Error('No search socket could be bound');
+      }
     });
 
-    this._socket.on('listening', () => {
-      const address = this._socket.address();
+    let notifyBound = Promise.resolve();
+    if (this._notifyPort !== null) {
+      notifyBound = Promise.all([
+        this._bindNotifySocket('IPv4', ipv4Interfaces.length ? ipv4Interfaces : [undefined],
+            [this._multicastAddress]),
+        ipv6Interfaces.length ?
+          this._bindNotifySocket('IPv6', ipv6Interfaces, this._ipv6MulticastAddresses) : null
+      ]).then((entries) => {
+        this._notifySockets = entries.filter((entry) => { return entry; });
+      });
+    }
+
+    Promise.all([searchesBound, notifyBound]).then(() => {
+      return this._restore();
+    }).then(() => {
+      const address = this._searchSockets[0].socket.address();
       // console.log(`discovery server listening ${address.address}:${address.port}`);
-      this._socket.addMembership(DISCOVERY_MULTICAST_ADDRESS);
-      callback(null, address);
+      // Outside the promise chain, so that an exception from the callback or
+      // a listener is not taken for a failure to start
+      process.nextTick(() => {
+        if (callback) {
+          callback(null, address);
+        }
+        this.emit('listening', address);
+      });
+    }, (err) => {
+      // console.log(`discovery server error:\n${err.stack}`);
+      this.stopService();
+      process.nextTick(() => {
+        this._emitError(err);
+        if (callback) {
+          callback(err, null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Stops the discovery service, closing its sockets.  The message
+   * store is left as it is.
+   *
+   * @param callback {Function} Called when the sockets are closed, if given.
+   */
+  stopService(callback) {
+    const sockets = this._searchSockets.concat(this._notifySockets).map((entry) => {
+      return entry.socket;
+    });
+    this._searchSockets = [];
+    this._notifySockets = [];
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    // A store that was never restored would overwrite what was saved
+    const saved = this._restored ? this._save() : Promise.resolve();
+    this._restored = false;
+    Promise.all([saved].concat(sockets.map((socket) => {
+      return new Promise((resolve) => {
+        try {
+          socket.close(resolve);
+        } catch (err) {
+          // already closed
+          resolve();
+        }
+      });
+    }))).then(() => {
+      if (callback) {
+        callback();
+      }
+    });
+  }
+
+  /**
+   * Restores the messages saved by the persistence, if there is one, that
+   * have not expired.  Each LOCATION restored is then fetched in the
+   * background, and its messages removed, with the reason 'unverified', if
+   * it does not answer and no fresh message has come from it.
+   *
+   * @returns {Promise} Resolves when the messages are restored.  Errors
+   * are emitted rather than rejected.
+   * @private
+   */
+  _restore() {
+    if (!this._persistence) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this._persistence.load((err, entries) => {
+        if (err) {
+          this._emitError(err);
+        }
+        let messages = [];
+        try {
+          messages = (entries || []).map(DiscoveryMessage.fromJSON);
+        } catch (err2) {
+          this._emitError(err2);
+        }
+        this._restored = true;
+        this._verify(this._messageStore.restore(messages));
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Fetches the LOCATION of each restored message, removing the messages
+   * of those that do not answer.
+   *
+   * @param restored {Array} The restored messages.
+   * @private
+   */
+  _verify(restored) {
+    const locations = new Set();
+    restored.forEach((message) => {
+      if (message.LOCATION0) {
+        locations.add(message.LOCATION0.value);
+      }
+    });
+    locations.forEach((location) => {
+      verifyLocation(location, this._verifyTimeout, (ok) => {
+        const fresh = this._messageStore.messages.some((message) => {
+          return headerValue(message.LOCATION0) === location && restored.indexOf(message) === -1;
+        });
+        if (!ok && !fresh) {
+          if (this._enableLog) {
+            console.log(`restored location did not answer: ${location}`);
+          }
+          this._messageStore.removeByLocation(location, 'unverified');
+        }
+      });
+    });
+  }
+
+  /**
+   * Emits device-added for a message of a device that is not known, or
+   * device-updated if its LOCATION or BOOTID.UPNP.ORG has changed.
+   *
+   * @param message {DiscoveryMessage} The added or updated message.
+   * @private
+   */
+  _deviceSeen(message) {
+    const key = DiscoveryService._deviceKey(message);
+    const previous = this._devices.get(key);
+    this._clearedDevices.delete(key);
+    this._devices.set(key, message);
+    if (!previous) {
+      this.emit('device-added', message);
+    } else if (headerValue(message.LOCATION0) !== headerValue(previous.LOCATION0) ||
+        headerValue(message.BOOTID0) !== headerValue(previous.BOOTID0)) {
+      this.emit('device-updated', message, previous);
+    } else {
+      // Keep the message the device was last known by
+      this._devices.set(key, previous);
+    }
+  }
+
+  /**
+   * Emits device-removed when the last message of a device is removed.
+   * A device cleared by a search is kept until the search has had time to
+   * find it again.
+   *
+   * @param message {DiscoveryMessage} The removed message.
+   * @param reason {String} Why it was removed.
+   * @private
+   */
+  _deviceGone(message, reason) {
+    const key = DiscoveryService._deviceKey(message);
+    const remaining = this._messageStore.messages.some((m) => {
+      return DiscoveryService._deviceKey(m) === key;
+    });
+    if (remaining || !this._devices.has(key)) {
+      return;
+    }
+    if (reason === 'cleared') {
+      this._clearedDevices.add(key);
+      return;
+    }
+    this._devices.delete(key);
+    this.emit('device-removed', message, reason);
+  }
+
+  /**
+   * Removes the devices cleared from the store that a search has not
+   * found again, once it has had time to, then emits reconciled.
+   *
+   * @private
+   */
+  _scheduleReconcile() {
+    const delay = this._searchWindow || ((MAX_MX * 1000) + RESPONSE_ALLOWANCE);
+    this._searchWindow = undefined;
+    clearTimeout(this._reconcileTimer);
+    this._reconcileTimer = setTimeout(() => {
+      this._reconcileTimer = null;
+      const cleared = Array.from(this._clearedDevices);
+      this._clearedDevices.clear();
+      cleared.forEach((key) => {
+        const message = this._devices.get(key);
+        this._devices.delete(key);
+        this.emit('device-removed', message, 'cleared');
+      });
+      this.emit('reconciled');
+    }, delay);
+    this._reconcileTimer.unref();
+  }
+
+  /**
+   * Saves the message store a little after it changes, so a burst of
+   * messages is saved once.
+   *
+   * @private
+   */
+  _scheduleSave() {
+    if (!this._restored || this._saveTimer) {
+      return;
+    }
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this._save();
+    }, SAVE_DELAY);
+    this._saveTimer.unref();
+  }
+
+  /**
+   * Saves the message store.
+   *
+   * @returns {Promise} Resolves when saved.  Errors are emitted rather
+   * than rejected.
+   * @private
+   */
+  _save() {
+    return new Promise((resolve) => {
+      this._persistence.save(this._messageStore.toJSON(), (err) => {
+        if (err) {
+          this._emitError(err);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Binds a search socket for a network interface.
+   *
+   * @param family {String} IPv4 or IPv6.
+   * @param networkInterface {Object} The interface, or undefined to let the
+   * operating system choose.
+   * @returns {Promise} Resolves to the socket entry, or null if the socket
+   * could not be bound.
+   * @private
+   */
+  _bindSearchSocket(family, networkInterface) {
+    const socket = this._createSocket(family, (message) => {
+      return message.isSearchResponse;
+    }, networkInterface);
+    let address;
+    if (family === 'IPv6') {
+      address = '::';
+    } else {
+      address = networkInterface ? networkInterface.address : undefined;
+    }
+    return this._bind(socket, this._searchPort, address).then(() => {
+      if (networkInterface) {
+        socket.setMulticastInterface(DiscoveryService._multicastInterface(networkInterface));
+      }
+      return { socket, family, networkInterface };
+    }, (err) => {
+      this._emitError(err);
+      socket.close();
+      return null;
+    });
+  }
+
+  /**
+   * Binds the NOTIFY socket for an address family and joins the multicast
+   * groups on each network interface.
+   *
+   * @param family {String} IPv4 or IPv6.
+   * @param networkInterfaces {Array} The interfaces, or [undefined] to let
+   * the operating system choose.
+   * @param groups {Array} The multicast groups.
+   * @returns {Promise} Resolves to the socket entry, or null if the socket
+   * could not be bound.
+   * @private
+   */
+  _bindNotifySocket(family, networkInterfaces, groups) {
+    const socket = this._createSocket(family, (message) => { return message.isNotify; });
+    return this._bind(socket, this._notifyPort, family === 'IPv6' ? '::' : undefined).then(() => {
+      groups.forEach((group) => {
+        networkInterfaces.forEach((ni) => {
+          try {
+            if (ni) {
+              socket.addMembership(group, DiscoveryService._multicastInterface(ni));
+            } else {
+              socket.addMembership(group);
+            }
+          } catch (err) {
+            this._emitError(err);
+          }
+        });
+      });
+      return { socket, family };
+    }, (err) => {
+      // Searching still works without NOTIFY messages, e.g. if another
+      // SSDP stack has the port to itself
+      if (this._enableLog) {
+        console.log(`not listening for ${family} NOTIFY: ${err.message}`);
+      }
+      this._emitError(err);
+      socket.close();
+      return null;
+    });
+  }
+
+  /**
+   * Creates a socket that emits the messages it receives that are accepted.
+   *
+   * @param family {String} IPv4 or IPv6.
+   * @param accept {Function} Takes a DiscoveryMessage and returns whether to accept it.
+   * @param networkInterface {Object} The interface of the socket, if it has
+   * only one; otherwise it is worked out from the sender.
+   * @returns {Socket} The socket, not yet bound.
+   * @private
+   */
+  _createSocket(family, accept, networkInterface) {
+    const socket = dgram.createSocket({
+      type: family === 'IPv6' ? 'udp6' : 'udp4',
+      reuseAddr: true,
+      ipv6Only: family === 'IPv6'
     });
 
-    this._socket.on('message', (msg, remoteAddress) => {
+    socket.on('message', (msg, remoteAddress) => {
       const ts = new Date();
       if (this._enableLog) {
         console.log(`message from ${remoteAddress.address}:${remoteAddress.port} at ${ts}`);
       }
       // console.log(msg);
       // console.log(util.inspect(msg));
-      const discoveryMessage = DiscoveryMessage.parseString(remoteAddress, ts, msg.toString('UTF-8'));
+      const discoveryMessage = DiscoveryMessage.parseString(remoteAddress, ts, msg.toString('UTF-8'),
+          networkInterface || this._networkInterfaceOf(remoteAddress));
       if (this._enableLog) {
         console.log(discoveryMessage);
       }
-      if (discoveryMessage.isSearchResponse || discoveryMessage.isNotify) {
-        this._messageStore.update(discoveryMessage);
+      if (accept(discoveryMessage)) {
+        this.emit('message', discoveryMessage);
+      }
+    });
+
+    return socket;
+  }
+
+  /**
+   * Works out the network interface on which a message arrived from its
+   * sender: the interface with the sender's scope, if it has one, or else
+   * the interface on the sender's subnet.
+   *
+   * @param remoteAddress {Address} The address of the sender.
+   * @returns {Object} The interface or undefined.
+   * @private
+   */
+  _networkInterfaceOf(remoteAddress) {
+    const scope = remoteAddress.address.split('%')[1];
+    return this._networkInterfaces.find((ni) => {
+      if (ni.family !== familyOf(remoteAddress)) {
+        return false;
+      }
+      if (scope) {
+        return ni.name === scope;
       }
+      return sameSubnet(remoteAddress.address, ni.address, ni.netmask);
+    });
+  }
+
+  /**
+   * Emits an error, if anyone is listening for errors.
+   *
+   * @param err {Error} The error.
+   * @private
+   */
+  _emitError(err) {
+    if (this.listenerCount('error')) {
+      this.emit('error', err);
+    }
+  }
+
+  /**
+   * Binds a socket.  Errors after binding are emitted by the service.
+   *
+   * @param socket {Socket} The socket.
+   * @param port {Number} The port, 0 for an ephemeral port.
+   * @param address {String} The address, or undefined for all.
+   * @returns {Promise} Resolves when the socket is listening.
+   * @private
+   */
+  _bind(socket, port, address) {
+    return new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      socket.bind(port, address, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (err) => { this._emitError(err); });
+        resolve();
+      });
     });
+  }
+
+  /**
+   * Gets how a network interface is named for multicast: its address for
+   * IPv4 and its scope for IPv6.
+   *
+   * @param networkInterface {Object} The interface.
+   * @returns {String} The multicast interface.
+   * @private
+   */
+  static _multicastInterface(networkInterface) {
+    return networkInterface.family === 'IPv6' ?
+      `::%${networkInterface.name}` : networkInterface.address;
+  }
+
+  /**
+   * Gets the device UUID of a message, or its USN if it has no UUID.
+   *
+   * @param message {DiscoveryMessage} The message.
+   * @returns {String} The key of the device.
+   * @private
+   */
+  static _deviceKey(message) {
+    const usn = parseUSN(message.USN0.value);
+    return usn ? usn.uuid : message.USN0.value;
+  }
 
-    this._socket.bind(1900);
+  /**
+   * Formats an M-SEARCH request.
+   *
+   * @param host {String} The HOST header, the multicast group and port.
+   * @param searchTarget {String} The thing(s) to search for.
+   * @param mx {Number} The most seconds to wait before responding.
+   * @returns {String} The request.
+   * @private
+   */
+  static _searchRequest(host, searchTarget, mx) {
+    return 'M-SEARCH * HTTP/1.1\r\n' +
+      `HOST: ${host}\r\n` +
+      'MAN: "ssdp:discover"\r\n' +
+      `MX: ${mx}\r\n` +
+      `ST: ${searchTarget}\r\n` +
+      `USER-AGENT: ${os.platform()}/${os.release()} UPnP/1.1 ${PRODUCT}/${PRODUCT_VERSION}\r\n` +
+      '\r\n';
   }
 }
 
+module.exports.DiscoveryMessage = DiscoveryMessage;
+module.exports.DiscoveryMessageStore = DiscoveryMessageStore;
 module.exports.DiscoveryService = DiscoveryService;
+module.exports.listNetworkInterfaces = listNetworkInterfaces;
+module.exports.parseUSN = parseUSN;
+module.exports.typeSatisfies = typeSatisfies;
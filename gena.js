@@ -0,0 +1,657 @@
+/**
+ * UPnP Eventing (GENA)
+ *
+ * Subscribes to the evented state variables of services and receives
+ * their changes at a local HTTP server.
+ *
+ * Based on http://www.upnp.org/specs/arch/UPnP-arch-DeviceArchitecture-v1.1.pdf
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const url = require('url');
+const request = require('request');
+const DOMParser = require('xmldom').DOMParser;
+const withCallback = require('./callback').withCallback;
+
+const EVENT_NS = 'urn:schemas-upnp-org:event-1-0';
+
+const DEFAULT_TIMEOUT = 1800;
+
+const DEFAULT_REQUEST_TIMEOUT = 5000;
+
+// How long before a subscription expires to renew it, at most
+const RENEW_MARGIN = 60 * 1000;
+
+// The longest delay setTimeout supports
+const MAX_TIMER_DELAY = 2147483647;
+
+// SEQ wraps to 1, not 0, after this
+const MAX_SEQ = 4294967295;
+
+const PRODUCT = 'node-upnp';
+const PRODUCT_VERSION = '1.0';
+
+/**
+ * Parses the TIMEOUT header of a subscription response.
+ *
+ * @param header {String} The header, e.g. Second-1800.
+ * @returns {Number} The seconds, Infinity for Second-infinite, or undefined.
+ */
+function parseTimeout(header) {
+  const match = /^Second-(\d+|infinite)$/i.exec((header || '').trim());
+  if (!match) {
+    return undefined;
+  }
+  return match[1].toLowerCase() === 'infinite' ? Infinity : parseInt(match[1], 10);
+}
+
+/**
+ * Parses the body of an event, an e:propertyset, into the changed state
+ * variables.  The values are left as text; LastChange, for one, is
+ * itself XML.
+ *
+ * @param xml {String} The body.
+ * @returns {Object} The values keyed by state variable name.
+ */
+function parsePropertySet(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  const properties = {};
+  if (!doc || !doc.documentElement) {
+    return properties;
+  }
+  const elements = doc.documentElement.getElementsByTagNameNS(EVENT_NS, 'property');
+  for (let p = 0; p < elements.length; p += 1) {
+    const children = elements.item(p).childNodes;
+    for (let c = 0; c < children.length; c += 1) {
+      const child = children.item(c);
+      if (child.localName) {
+        properties[child.localName] = child.textContent;
+      }
+    }
+  }
+  return properties;
+}
+
+/**
+ * Gets the next SEQ after one.
+ *
+ * @param seq {Number} The SEQ.
+ * @returns {Number} The next SEQ.
+ * @private
+ */
+function nextSeq(seq) {
+  return seq >= MAX_SEQ ? 1 : seq + 1;
+}
+
+/**
+ * A subscription to the events of a service.
+ *
+ * The subscription emits:
+ *   event (properties, seq) for each event, with the values keyed by name
+ *   gap (expected, seq) when an event was missed, after which the
+ *     subscriber subscribes again to get the current values
+ *   renewed (timeout) when the subscription is renewed
+ *   error (err) when renewing fails, if anyone is listening for errors
+ *   ended when the subscription is ended or lost
+ */
+class Subscription extends EventEmitter {
+  /**
+   * Creates the subscription.  Use {@link EventSubscriber#subscribe}.
+   *
+   * @param eventSubURL {String} The absolute eventSubURL of the service.
+   * @param serviceType {String} The service type, if known.
+   * @param path {String} The path of the callback URL.
+   */
+  constructor(eventSubURL, serviceType, path) {
+    super();
+    this._eventSubURL = eventSubURL;
+    this._serviceType = serviceType;
+    this._path = path;
+    this._sid = undefined;
+    this._timeout = undefined;
+    this._expiresAt = undefined;
+    this._seq = undefined;
+    this._renewTimer = null;
+    this._ended = false;
+  }
+
+  get eventSubURL() {
+    return this._eventSubURL;
+  }
+
+  get serviceType() {
+    return this._serviceType;
+  }
+
+  /**
+   * Gets the subscription identifier from the publisher.
+   *
+   * @returns {String} The SID, or undefined until subscribed.
+   */
+  get sid() {
+    return this._sid;
+  }
+
+  /**
+   * Gets the duration of the subscription granted by the publisher.
+   *
+   * @returns {Number} The seconds, or Infinity.
+   */
+  get timeout() {
+    return this._timeout;
+  }
+
+  /**
+   * Gets when the subscription expires unless renewed.
+   *
+   * @returns {Number} The time in milliseconds since the epoch, or Infinity.
+   */
+  get expiresAt() {
+    return this._expiresAt;
+  }
+
+  /**
+   * Gets the SEQ of the last event received.
+   *
+   * @returns {Number} The SEQ, or undefined before the initial event.
+   */
+  get seq() {
+    return this._seq;
+  }
+
+  /**
+   * Gets whether the subscription has ended.  An ended subscription is
+   * neither renewed nor subscribed again.
+   *
+   * @returns {boolean} Whether it has ended.
+   */
+  get ended() {
+    return this._ended;
+  }
+
+  /**
+   * Records the SID from the publisher.
+   *
+   * @param sid {String} The SID.
+   * @private
+   */
+  _setSid(sid) {
+    this._sid = sid;
+  }
+
+  /**
+   * Records the SEQ of an event received.
+   *
+   * @param seq {Number} The SEQ.
+   * @private
+   */
+  _setSeq(seq) {
+    this._seq = seq;
+  }
+
+  /**
+   * Forgets the SID and SEQ, ready to subscribe afresh.
+   *
+   * @private
+   */
+  _reset() {
+    this._sid = undefined;
+    this._seq = undefined;
+  }
+
+  /**
+   * Records the duration granted and schedules renewal, unless it is
+   * infinite.  A very long duration is renewed after the longest delay
+   * setTimeout supports instead.
+   *
+   * @param timeout {Number} The seconds granted, or Infinity.
+   * @param renew {Function} Called to renew the subscription.
+   * @private
+   */
+  _setTimeout(timeout, renew) {
+    this._timeout = timeout;
+    this._expiresAt = Date.now() + (timeout * 1000);
+    this._clearRenewTimer();
+    if (timeout !== Infinity) {
+      const duration = timeout * 1000;
+      const delay = Math.max(duration / 2, duration - RENEW_MARGIN);
+      this._renewTimer = setTimeout(renew, Math.min(delay, MAX_TIMER_DELAY));
+      this._renewTimer.unref();
+    }
+  }
+
+  /**
+   * Stops any scheduled renewal.
+   *
+   * @private
+   */
+  _clearRenewTimer() {
+    clearTimeout(this._renewTimer);
+    this._renewTimer = null;
+  }
+
+  /**
+   * Marks the subscription ended and stops any scheduled renewal.
+   *
+   * @private
+   */
+  _markEnded() {
+    this._ended = true;
+    this._clearRenewTimer();
+  }
+}
+
+/**
+ * Subscribes to services and receives their events.
+ *
+ * The subscriber emits:
+ *   listening (address) when its callback server is started
+ *   event (subscription, properties, seq) for each event of any subscription
+ *   error (err) for server errors, if anyone is listening for them
+ */
+class EventSubscriber extends EventEmitter {
+  /**
+   * Creates the subscriber.  It does nothing until started.
+   *
+   * The options are:
+   *   port {Number} The port of the callback server, by default 0 for an
+   *     ephemeral port.
+   *   callbackAddress {String} The address publishers should send events
+   *     to, by default the local address used to reach each publisher.
+   *   timeout {Number} The seconds of subscription to ask for, by default 1800.
+   *   requestTimeout {Number} The milliseconds to wait for each publisher
+   *     to respond, by default 5000.
+   *
+   * @param options {Object} The options, if any.
+   */
+  constructor(options) {
+    super();
+    const opts = options || {};
+    this._port = opts.port || 0;
+    this._callbackAddress = opts.callbackAddress;
+    this._timeout = opts.timeout || DEFAULT_TIMEOUT;
+    this._requestTimeout = opts.requestTimeout || DEFAULT_REQUEST_TIMEOUT;
+    this._server = null;
+    this._subscriptions = new Map();
+    this._nextPath = 1;
+    this._userAgent = `${os.platform()}/${os.release()} UPnP/1.1 ${PRODUCT}/${PRODUCT_VERSION}`;
+  }
+
+  /**
+   * Gets the current subscriptions.
+   *
+   * @returns {Array} The subscriptions as Subscription.
+   */
+  get subscriptions() {
+    return Array.from(this._subscriptions.values());
+  }
+
+  /**
+   * Starts the callback server.
+   *
+   * @param callback {Function} Receives (err, address), if given.
+   * @returns {Promise} Resolves to the address of the server.
+   */
+  start(callback) {
+    if (this._server) {
+      throw new Error('Subscriber already started');
+    }
+    this._server = http.createServer((req, res) => { this._handleNotify(req, res); });
+    const promise = new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(this._port, () => {
+        this._server.removeListener('error', reject);
+        this._server.on('error', (err) => { this._emitError(err); });
+        const address = this._server.address();
+        this.emit('listening', address);
+        resolve(address);
+      });
+    });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Subscribes to the events of a service.  The initial event, with the
+   * current value of every evented state variable, follows.
+   *
+   * @param service {Service} The service, a DeviceServiceDescription or the
+   * absolute eventSubURL.
+   * @param callback {Function} Receives (err, subscription), if given.
+   * @returns {Promise} Resolves to the Subscription.
+   */
+  subscribe(service, callback) {
+    if (!this._server) {
+      return withCallback(Promise.reject(new Error('Subscriber not started')), callback);
+    }
+    let eventSubURL;
+    let serviceType;
+    if (typeof service === 'string') {
+      eventSubURL = service;
+    } else if (service.service) {
+      eventSubURL = url.resolve(service.location, service.service.eventSubURL);
+      serviceType = service.service.serviceType;
+    } else {
+      eventSubURL = service.eventSubURL;
+      serviceType = service.serviceType;
+    }
+    const subscription = new Subscription(eventSubURL, serviceType, `/events/${this._nextPath}`);
+    this._nextPath += 1;
+    // Registered before SUBSCRIBE, since the initial event can beat the response
+    this._subscriptions.set(subscription._path, subscription);
+    const promise = this._subscribe(subscription).then(() => {
+      return subscription;
+    }, (err) => {
+      this._subscriptions.delete(subscription._path);
+      throw err;
+    });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Ends a subscription.
+   *
+   * @param subscription {Subscription} The subscription.
+   * @param callback {Function} Receives (err), if given.
+   * @returns {Promise} Resolves when the publisher has been told.
+   */
+  unsubscribe(subscription, callback) {
+    this._end(subscription);
+    if (!subscription._sid) {
+      return withCallback(Promise.resolve(), callback);
+    }
+    const sid = subscription._sid;
+    subscription._reset();
+    const promise = this._request('UNSUBSCRIBE', subscription.eventSubURL, { SID: sid })
+        .then(() => {});
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Ends every subscription and stops the callback server.
+   *
+   * @param callback {Function} Receives (err), if given.
+   * @returns {Promise} Resolves when stopped.  Failures to unsubscribe
+   * are emitted as errors rather than rejected.
+   */
+  stop(callback) {
+    const unsubscribed = this.subscriptions.map((subscription) => {
+      return this.unsubscribe(subscription).catch((err) => { this._emitError(err); });
+    });
+    const promise = Promise.all(unsubscribed).then(() => {
+      return new Promise((resolve) => {
+        if (this._server) {
+          this._server.close(() => { resolve(); });
+          this._server = null;
+        } else {
+          resolve();
+        }
+      });
+    });
+    return withCallback(promise, callback);
+  }
+
+  /**
+   * Sends SUBSCRIBE for a new subscription.
+   *
+   * @param subscription {Subscription} The subscription.
+   * @returns {Promise} Resolves when subscribed.
+   * @private
+   */
+  _subscribe(subscription) {
+    return this._callbackUrl(subscription).then((callbackUrl) => {
+      return this._request('SUBSCRIBE', subscription.eventSubURL, {
+        CALLBACK: `<${callbackUrl}>`,
+        NT: 'upnp:event',
+        TIMEOUT: `Second-${this._timeout}`
+      });
+    }).then((response) => {
+      const sid = response.headers.sid;
+      if (!sid) {
+        throw new Error(`No SID in the response from ${subscription.eventSubURL}`);
+      }
+      if (subscription.ended) {
+        // Ended while subscribing, so the publisher is told straight away
+        this._request('UNSUBSCRIBE', subscription.eventSubURL, { SID: sid }).catch(() => {});
+        throw new Error(`Subscription to ${subscription.eventSubURL} ended`);
+      }
+      subscription._setSid(sid);
+      this._granted(subscription, response);
+    });
+  }
+
+  /**
+   * Sends SUBSCRIBE to renew a subscription, subscribing afresh if the
+   * publisher no longer knows it.
+   *
+   * @param subscription {Subscription} The subscription.
+   * @private
+   */
+  _renew(subscription) {
+    if (subscription.ended) {
+      return;
+    }
+    this._request('SUBSCRIBE', subscription.eventSubURL, {
+      SID: subscription._sid,
+      TIMEOUT: `Second-${this._timeout}`
+    }).then((response) => {
+      if (subscription.ended) {
+        return;
+      }
+      this._granted(subscription, response);
+      subscription.emit('renewed', subscription._timeout);
+    }, (err) => {
+      if (subscription.ended) {
+        return;
+      }
+      // The publisher no longer knows the SID, so there is nothing to unsubscribe
+      subscription._reset();
+      this._resubscribe(subscription, err);
+    });
+  }
+
+  /**
+   * Subscribes afresh, such as after an event was missed.
+   *
+   * @param subscription {Subscription} The subscription.
+   * @param reason {Error} Why, emitted if subscribing fails.
+   * @private
+   */
+  _resubscribe(subscription, reason) {
+    if (subscription.ended) {
+      return;
+    }
+    const oldSid = subscription._sid;
+    subscription._reset();
+    const unsubscribed = oldSid ?
+      this._request('UNSUBSCRIBE', subscription.eventSubURL, { SID: oldSid }).catch(() => {}) :
+      Promise.resolve();
+    unsubscribed.then(() => {
+      return subscription.ended ? undefined : this._subscribe(subscription);
+    }).catch((err) => {
+      if (subscription.ended) {
+        return;
+      }
+      if (subscription.listenerCount('error')) {
+        subscription.emit('error', reason || err);
+      }
+      this._end(subscription);
+    });
+  }
+
+  /**
+   * Records the TIMEOUT granted and schedules renewal before it runs out.
+   *
+   * @param subscription {Subscription} The subscription.
+   * @param response {IncomingMessage} The response to SUBSCRIBE.
+   * @private
+   */
+  _granted(subscription, response) {
+    if (subscription.ended) {
+      return;
+    }
+    const timeout = parseTimeout(response.headers.timeout);
+    subscription._setTimeout(timeout === undefined ? this._timeout : timeout, () => {
+      this._renew(subscription);
+    });
+  }
+
+  /**
+   * Forgets a subscription, stopping its renewal.
+   *
+   * @param subscription {Subscription} The subscription.
+   * @private
+   */
+  _end(subscription) {
+    subscription._markEnded();
+    if (this._subscriptions.delete(subscription._path)) {
+      subscription.emit('ended');
+    }
+  }
+
+  /**
+   * Handles a request to the callback server, which should be a NOTIFY
+   * with an event.
+   *
+   * @param req {IncomingMessage} The request.
+   * @param res {ServerResponse} The response.
+   * @private
+   */
+  _handleNotify(req, res) {
+    const subscription = this._subscriptions.get(url.parse(req.url).pathname);
+    if (req.method !== 'NOTIFY') {
+      res.writeHead(405);
+      res.end();
+      return;
+    }
+    const seq = /^\d+$/.test(req.headers.seq || '') ? parseInt(req.headers.seq, 10) : NaN;
+    if (req.headers.nt !== 'upnp:event' || req.headers.nts !== 'upnp:propchange' ||
+        isNaN(seq)) {
+      res.writeHead(400);
+      res.end();
+      return;
+    }
+    if (!subscription || (subscription._sid && subscription._sid !== req.headers.sid)) {
+      res.writeHead(412);
+      res.end();
+      return;
+    }
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      res.writeHead(200);
+      res.end();
+      this._receive(subscription, req.headers.sid, seq, body);
+    });
+  }
+
+  /**
+   * Delivers an event, checking its SEQ for a missed event.
+   *
+   * @param subscription {Subscription} The subscription.
+   * @param sid {String} The SID of the event.
+   * @param seq {Number} The SEQ of the event.
+   * @param body {String} The body of the event.
+   * @private
+   */
+  _receive(subscription, sid, seq, body) {
+    if (subscription.ended) {
+      return;
+    }
+    if (!subscription._sid) {
+      // The initial event arrived before the response to SUBSCRIBE
+      subscription._setSid(sid);
+    }
+    if (seq !== 0 && subscription._seq !== undefined && seq !== nextSeq(subscription._seq)) {
+      subscription.emit('gap', nextSeq(subscription._seq), seq);
+      this._resubscribe(subscription);
+      return;
+    }
+    subscription._setSeq(seq);
+    const properties = parsePropertySet(body);
+    subscription.emit('event', properties, seq);
+    this.emit('event', subscription, properties, seq);
+  }
+
+  /**
+   * Gets the callback URL for a subscription, at the local address that
+   * reaches the publisher unless one was given.
+   *
+   * @param subscription {Subscription} The subscription.
+   * @returns {Promise} Resolves to the URL.
+   * @private
+   */
+  _callbackUrl(subscription) {
+    const port = this._server.address().port;
+    if (this._callbackAddress) {
+      return Promise.resolve(`http://${this._callbackAddress}:${port}${subscription._path}`);
+    }
+    const publisher = url.parse(subscription.eventSubURL);
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(publisher.port || 80, publisher.hostname, () => {
+        const address = socket.localAddress;
+        socket.setTimeout(0);
+        socket.end();
+        const host = net.isIPv6(address) ? `[${address}]` : address;
+        resolve(`http://${host}:${port}${subscription._path}`);
+      });
+      socket.setTimeout(this._requestTimeout, () => {
+        socket.destroy();
+        reject(new Error(`Timed out connecting to ${subscription.eventSubURL}`));
+      });
+      socket.on('error', reject);
+    });
+  }
+
+  /**
+   * Sends a GENA request.
+   *
+   * @param method {String} SUBSCRIBE or UNSUBSCRIBE.
+   * @param uri {String} The eventSubURL.
+   * @param headers {Object} The headers.
+   * @returns {Promise} Resolves to the response, or rejects if the status
+   * is not 200.
+   * @private
+   */
+  _request(method, uri, headers) {
+    const options = {
+      uri: uri,
+      method: method,
+      timeout: this._requestTimeout,
+      headers: Object.assign({ 'USER-AGENT': this._userAgent }, headers)
+    };
+    return new Promise((resolve, reject) => {
+      request(options, (err, response) => {
+        if (err) {
+          reject(err);
+        } else if (response.statusCode !== 200) {
+          reject(new Error(`${method} ${uri} response status code not 200: ${response.statusCode}`));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  /**
+   * Emits an error, if anyone is listening for errors.
+   *
+   * @param err {Error} The error.
+   * @private
+   */
+  _emitError(err) {
+    if (this.listenerCount('error')) {
+      this.emit('error', err);
+    }
+  }
+}
+
+module.exports.EventSubscriber = EventSubscriber;
+module.exports.Subscription = Subscription;
+module.exports.parsePropertySet = parsePropertySet;
+module.exports.parseTimeout = parseTimeout;
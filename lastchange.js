@@ -0,0 +1,234 @@
+/**
+ * UPnP AV LastChange
+ *
+ * AVTransport and RenderingControl event their state through the single
+ * LastChange state variable, whose value is an Event document listing
+ * what changed for each InstanceID:
+ *
+ *   <Event xmlns="urn:schemas-upnp-org:metadata-1-0/RCS/">
+ *     <InstanceID val="0">
+ *       <Volume channel="Master" val="24"/>
+ *       <Mute channel="Master" val="0"/>
+ *     </InstanceID>
+ *   </Event>
+ *
+ * Parsed, each InstanceID becomes a diff of the variables that changed.
+ * Variables with a channel attribute become an object keyed by channel.
+ *
+ * Based on http://www.upnp.org/specs/av/UPnP-av-AVTransport-v1-Service.pdf
+ * and http://www.upnp.org/specs/av/UPnP-av-RenderingControl-v1-Service.pdf
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const DOMParser = require('xmldom').DOMParser;
+const parseValue = require('./datatypes').parseValue;
+const parseDidlLite = require('./didl').parseDidlLite;
+
+/**
+ * The data types of the variables that are not strings.
+ */
+const VARIABLE_TYPES = {
+  NumberOfTracks: 'ui4',
+  CurrentTrack: 'ui4',
+  Brightness: 'ui2',
+  Contrast: 'ui2',
+  Sharpness: 'ui2',
+  RedVideoGain: 'ui2',
+  GreenVideoGain: 'ui2',
+  BlueVideoGain: 'ui2',
+  RedVideoBlackLevel: 'ui2',
+  GreenVideoBlackLevel: 'ui2',
+  BlueVideoBlackLevel: 'ui2',
+  ColorTemperature: 'ui2',
+  HorizontalKeystone: 'i2',
+  VerticalKeystone: 'i2',
+  Mute: 'boolean',
+  Volume: 'ui2',
+  VolumeDB: 'i2',
+  Loudness: 'boolean'
+};
+
+/**
+ * The variables whose values are DIDL-Lite.
+ */
+const METADATA_VARIABLES = [
+  'AVTransportURIMetaData',
+  'CurrentTrackMetaData',
+  'NextAVTransportURIMetaData'
+];
+
+/**
+ * Gets the child elements of an element.
+ *
+ * @param element {Element} The element.
+ * @returns {Array} The child elements.
+ * @private
+ */
+function childElements(element) {
+  const elements = [];
+  for (let i = 0; i < element.childNodes.length; i += 1) {
+    const node = element.childNodes.item(i);
+    if (node.nodeType === 1) {
+      elements.push(node);
+    }
+  }
+  return elements;
+}
+
+/**
+ * Converts the val of a variable to a JavaScript value.  Metadata becomes
+ * a DidlLite, or null when there is none or it is not DIDL-Lite.  A number
+ * or boolean becomes null when it is NOT_IMPLEMENTED or cannot be parsed.
+ *
+ * @param name {String} The name of the variable.
+ * @param text {String} The val attribute.
+ * @returns {*} The value.
+ */
+function parseVariableValue(name, text) {
+  if (METADATA_VARIABLES.indexOf(name) !== -1) {
+    if (!text || text === 'NOT_IMPLEMENTED') {
+      return null;
+    }
+    try {
+      return parseDidlLite(text);
+    } catch (err) {
+      return null;
+    }
+  }
+  if (!VARIABLE_TYPES[name]) {
+    return text;
+  }
+  if (text === 'NOT_IMPLEMENTED') {
+    return null;
+  }
+  const value = parseValue(VARIABLE_TYPES[name], text);
+  return (value === undefined || Number.isNaN(value)) ? null : value;
+}
+
+/**
+ * Parses a LastChange value into a diff for each InstanceID.
+ *
+ * For example, {0: {TransportState: 'PLAYING', Volume: {Master: 24}}}.
+ *
+ * @param xml {String} The LastChange value, an Event document.
+ * @returns {Object} The diffs keyed by InstanceID.
+ */
+function parseLastChange(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  const root = doc && doc.documentElement;
+  if (!root || root.localName !== 'Event') {
+    throw new Error('Not a LastChange Event document');
+  }
+  const diffs = {};
+  childElements(root).forEach((instance) => {
+    if (instance.localName !== 'InstanceID' || !instance.hasAttribute('val')) {
+      return;
+    }
+    const instanceId = instance.getAttribute('val');
+    const diff = diffs[instanceId] || {};
+    childElements(instance).forEach((variable) => {
+      const name = variable.localName;
+      const value = parseVariableValue(name, variable.getAttribute('val'));
+      if (variable.hasAttribute('channel')) {
+        diff[name] = Object.assign({}, diff[name]);
+        diff[name][variable.getAttribute('channel')] = value;
+      } else {
+        diff[name] = value;
+      }
+    });
+    diffs[instanceId] = diff;
+  });
+  return diffs;
+}
+
+/**
+ * The running state of a renderer, folded from the LastChange events of
+ * its AVTransport and RenderingControl.
+ *
+ * The state emits:
+ *   change (instanceId, diff, state) for each InstanceID that changed
+ */
+class RendererState extends EventEmitter {
+  constructor() {
+    super();
+    this._instances = new Map();
+  }
+
+  /**
+   * Gets the InstanceIDs with state.
+   *
+   * @returns {Array} The InstanceIDs as String.
+   */
+  get instanceIds() {
+    return Array.from(this._instances.keys());
+  }
+
+  /**
+   * Gets the state of an instance.
+   *
+   * @param instanceId {String|Number} The InstanceID, by default 0.
+   * @returns {Object} The values keyed by variable name, empty if unknown.
+   */
+  get(instanceId) {
+    return this._instances.get(String(instanceId || 0)) || {};
+  }
+
+  /**
+   * Folds a LastChange value into the state.
+   *
+   * @param xml {String} The LastChange value.
+   * @returns {Object} The diffs keyed by InstanceID.
+   */
+  update(xml) {
+    const diffs = parseLastChange(xml);
+    this.apply(diffs);
+    return diffs;
+  }
+
+  /**
+   * Folds the properties of an event into the state, if it has LastChange.
+   * Use as the listener of a subscription's event.
+   *
+   * @param properties {Object} The evented values keyed by name.
+   * @returns {Object} The diffs keyed by InstanceID, or undefined.
+   */
+  updateFromEvent(properties) {
+    return properties.LastChange ? this.update(properties.LastChange) : undefined;
+  }
+
+  /**
+   * Folds diffs into the state.  Channels are merged with those already
+   * known rather than replacing them.
+   *
+   * @param diffs {Object} The diffs keyed by InstanceID.
+   */
+  apply(diffs) {
+    Object.keys(diffs).forEach((instanceId) => {
+      const diff = diffs[instanceId];
+      const state = Object.assign({}, this._instances.get(instanceId));
+      Object.keys(diff).forEach((name) => {
+        const value = diff[name];
+        if (value && typeof value === 'object' && value.constructor === Object) {
+          state[name] = Object.assign({}, state[name], value);
+        } else {
+          state[name] = value;
+        }
+      });
+      this._instances.set(instanceId, state);
+      this.emit('change', instanceId, diff, state);
+    });
+  }
+
+  /**
+   * Forgets all state, such as after subscribing afresh.
+   */
+  clear() {
+    this._instances.clear();
+  }
+}
+
+module.exports.RendererState = RendererState;
+module.exports.parseLastChange = parseLastChange;
+module.exports.parseVariableValue = parseVariableValue;
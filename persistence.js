@@ -0,0 +1,82 @@
+/**
+ * UPnP Discovery Persistence
+ *
+ * Keeps the discovery message store somewhere that outlives the process,
+ * so that a restarted service begins with the devices it already knew.
+ *
+ * A persistence is any object with:
+ *   load(callback) calling back with (err, entries)
+ *   save(entries, callback) calling back with (err)
+ * where the entries are the plain data of DiscoveryMessageStore#toJSON.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Persistence in a JSON file.
+ */
+class JsonFilePersistence {
+  /**
+   * Creates the persistence.  The file need not exist yet.
+   *
+   * @param path {String} The path of the file.
+   */
+  constructor(path) {
+    this._path = path;
+  }
+
+  get path() {
+    return this._path;
+  }
+
+  /**
+   * Loads the entries.  A missing file has no entries.
+   *
+   * @param callback {Function} Called with (err, entries).
+   */
+  load(callback) {
+    fs.readFile(this._path, 'utf8', (err, text) => {
+      if (err) {
+        callback(err.code === 'ENOENT' ? null : err, []);
+        return;
+      }
+      let entries;
+      try {
+        entries = JSON.parse(text);
+      } catch (parseErr) {
+        callback(parseErr, []);
+        return;
+      }
+      callback(null, Array.isArray(entries) ? entries : []);
+    });
+  }
+
+  /**
+   * Saves the entries, replacing the file.  They are written to a
+   * temporary file that is then renamed, so a crash part way through
+   * leaves the previous file.
+   *
+   * @param entries {Array} The entries.
+   * @param callback {Function} Called with (err), if given.
+   */
+  save(entries, callback) {
+    const temporary = `${this._path}.tmp`;
+    fs.writeFile(temporary, JSON.stringify(entries, null, 2), 'utf8', (err) => {
+      if (err) {
+        if (callback) {
+          callback(err);
+        }
+        return;
+      }
+      fs.rename(temporary, this._path, (err2) => {
+        if (callback) {
+          callback(err2 || null);
+        }
+      });
+    });
+  }
+}
+
+module.exports.JsonFilePersistence = JsonFilePersistence;
@@ -0,0 +1,312 @@
+/**
+ * UPnP AV protocolInfo
+ *
+ * A protocolInfo says how a resource is transported and what it is:
+ *
+ *   protocol:network:contentFormat:additionalInfo
+ *
+ * e.g. http-get:*:audio/mpeg:DLNA.ORG_PN=MP3;DLNA.ORG_OP=01;DLNA.ORG_CI=0
+ *
+ * Servers give one for each res of an object and list those they can
+ * source; renderers list those they can sink.  Any field may be * to
+ * match anything.  The additionalInfo of DLNA devices has the fields:
+ *   DLNA.ORG_PN    the media format profile, e.g. MP3 or JPEG_LRG
+ *   DLNA.ORG_OP    the seek operations, time based then byte based, e.g. 01
+ *   DLNA.ORG_FLAGS 32 hex digits, of which the first 8 are the primary flags
+ *   DLNA.ORG_CI    1 if the resource is converted (transcoded), else 0
+ *
+ * Based on http://www.upnp.org/specs/av/UPnP-av-ConnectionManager-v1-Service.pdf
+ * and the DLNA Networked Device Interoperability Guidelines
+ */
+
+'use strict';
+
+/**
+ * The primary DLNA.ORG_FLAGS, by bit.
+ */
+const DLNA_FLAGS = {
+  SENDER_PACED: 31,
+  TIME_BASED_SEEK: 30,
+  BYTE_BASED_SEEK: 29,
+  PLAY_CONTAINER: 28,
+  S0_INCREASING: 27,
+  SN_INCREASING: 26,
+  RTSP_PAUSE: 25,
+  STREAMING_TRANSFER_MODE: 24,
+  INTERACTIVE_TRANSFER_MODE: 23,
+  BACKGROUND_TRANSFER_MODE: 22,
+  CONNECTION_STALL: 21,
+  DLNA_V15: 20
+};
+
+/**
+ * Splits a list of protocolInfo on the commas that are not escaped.
+ *
+ * @param text {String} The list.
+ * @returns {Array} The protocolInfo strings.
+ * @private
+ */
+function splitList(text) {
+  const items = [];
+  let item = '';
+  for (let i = 0; i < text.length; i += 1) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      item += text[i + 1];
+      i += 1;
+    } else if (text[i] === ',') {
+      items.push(item);
+      item = '';
+    } else {
+      item += text[i];
+    }
+  }
+  items.push(item);
+  return items.map((s) => { return s.trim(); }).filter((s) => { return s.length > 0; });
+}
+
+/**
+ * Gets whether a field matches another, either being *.  MIME types
+ * also match type/* and ignore case and parameters.
+ *
+ * @param field {String} The field.
+ * @param other {String} The other field.
+ * @param isContentFormat {boolean} Whether the fields are contentFormat.
+ * @returns {boolean} Whether they match.
+ * @private
+ */
+function fieldMatches(field, other, isContentFormat) {
+  if (field === '*' || other === '*') {
+    return true;
+  }
+  if (!isContentFormat) {
+    return field === other;
+  }
+  const a = field.split(';')[0].trim().toLowerCase().split('/');
+  const b = other.split(';')[0].trim().toLowerCase().split('/');
+  return a[0] === b[0] && (a[1] === b[1] || a[1] === '*' || b[1] === '*');
+}
+
+/**
+ * A parsed protocolInfo.
+ */
+class ProtocolInfo {
+  /**
+   * Creates a protocolInfo from its fields.
+   *
+   * @param protocol {String} The protocol, e.g. http-get.
+   * @param network {String} The network, * for http-get.
+   * @param contentFormat {String} The content format, a MIME type for http-get.
+   * @param additionalInfo {String} The additional info, * if there is none.
+   */
+  constructor(protocol, network, contentFormat, additionalInfo) {
+    this._protocol = protocol || '*';
+    this._network = network || '*';
+    this._contentFormat = contentFormat || '*';
+    this._additionalInfo = additionalInfo || '*';
+    this._fields = {};
+    if (this._additionalInfo !== '*') {
+      this._additionalInfo.split(';').forEach((pair) => {
+        const equals = pair.indexOf('=');
+        if (equals > 0) {
+          this._fields[pair.slice(0, equals).trim()] = pair.slice(equals + 1).trim();
+        }
+      });
+    }
+  }
+
+  get protocol() {
+    return this._protocol;
+  }
+
+  get network() {
+    return this._network;
+  }
+
+  get contentFormat() {
+    return this._contentFormat;
+  }
+
+  get additionalInfo() {
+    return this._additionalInfo;
+  }
+
+  /**
+   * Gets the name=value fields of the additional info.
+   *
+   * @returns {Object} The values keyed by name, e.g. DLNA.ORG_PN.
+   */
+  get fields() {
+    return this._fields;
+  }
+
+  /**
+   * Gets the DLNA media format profile.
+   *
+   * @returns {String} The DLNA.ORG_PN, e.g. MP3, or undefined.
+   */
+  get profileName() {
+    return this._fields['DLNA.ORG_PN'];
+  }
+
+  /**
+   * Gets the DLNA seek operations.
+   *
+   * @returns {Object} timeSeek and byteSeek booleans, from DLNA.ORG_OP.
+   */
+  get operations() {
+    const op = this._fields['DLNA.ORG_OP'] || '00';
+    return { timeSeek: op[0] === '1', byteSeek: op[1] === '1' };
+  }
+
+  /**
+   * Gets the primary DLNA flags.
+   *
+   * @returns {Number} The first 8 hex digits of DLNA.ORG_FLAGS, or 0.
+   */
+  get flags() {
+    const flags = parseInt((this._fields['DLNA.ORG_FLAGS'] || '').slice(0, 8), 16);
+    return isNaN(flags) ? 0 : flags;
+  }
+
+  /**
+   * Gets whether the resource is converted from another, per DLNA.ORG_CI.
+   *
+   * @returns {boolean} Whether it is converted.
+   */
+  get isConverted() {
+    return this._fields['DLNA.ORG_CI'] === '1';
+  }
+
+  /**
+   * Gets whether a primary DLNA flag is set.
+   *
+   * @param name {String} The flag, a key of DLNA_FLAGS such as DLNA_V15.
+   * @returns {boolean} Whether it is set.
+   */
+  hasFlag(name) {
+    const bit = DLNA_FLAGS[name];
+    if (bit === undefined) {
+      throw new Error(`Unknown DLNA flag ${name}`);
+    }
+    return Math.floor(this.flags / (2 ** bit)) % 2 === 1;
+  }
+
+  /**
+   * Gets whether this, as a source, can be played by a sink.  The
+   * protocol, network and content format must match and, when both give
+   * a DLNA profile, so must that.
+   *
+   * @param sink {ProtocolInfo} The sink protocolInfo.
+   * @returns {boolean} Whether they match.
+   */
+  matches(sink) {
+    if (!fieldMatches(this._protocol, sink.protocol, false) ||
+        !fieldMatches(this._network, sink.network, false) ||
+        !fieldMatches(this._contentFormat, sink.contentFormat, true)) {
+      return false;
+    }
+    return !this.profileName || !sink.profileName || sink.profileName === '*' ||
+      this.profileName === sink.profileName;
+  }
+
+  toString() {
+    return `${this._protocol}:${this._network}:${this._contentFormat}:${this._additionalInfo}`;
+  }
+
+  /**
+   * Parses a protocolInfo.  The additional info may itself contain colons.
+   *
+   * @param text {String} The protocolInfo.
+   * @returns {ProtocolInfo} The parsed protocolInfo.
+   */
+  static parse(text) {
+    const parts = (text || '').trim().split(':');
+    if (parts.length < 4) {
+      throw new Error(`Invalid protocolInfo: ${text}`);
+    }
+    return new ProtocolInfo(parts[0], parts[1], parts[2], parts.slice(3).join(':'));
+  }
+}
+
+/**
+ * Parses a comma-separated list of protocolInfo, such as the Source or
+ * Sink of GetProtocolInfo.  Entries that are not valid are skipped.
+ *
+ * @param text {String} The list.
+ * @returns {Array} The protocolInfo as ProtocolInfo.
+ */
+function parseProtocolInfoList(text) {
+  const infos = [];
+  splitList(text || '').forEach((item) => {
+    try {
+      infos.push(ProtocolInfo.parse(item));
+    } catch (err) {
+      // Skip it; some devices list junk
+    }
+  });
+  return infos;
+}
+
+/**
+ * Scores how well a source matches the best of the sinks it matches.
+ * An exact DLNA profile beats a wildcard, an original beats a conversion,
+ * and an exact content format beats a wildcard.
+ *
+ * @param source {ProtocolInfo} The source.
+ * @param sinks {Array} The sinks as ProtocolInfo.
+ * @returns {Number} The score, or -1 if no sink matches.
+ * @private
+ */
+function matchScore(source, sinks) {
+  let best = -1;
+  sinks.forEach((sink) => {
+    if (source.matches(sink)) {
+      let score = 0;
+      if (source.profileName && source.profileName === sink.profileName) {
+        score += 4;
+      }
+      if (!source.isConverted) {
+        score += 2;
+      }
+      if (sink.contentFormat !== '*' && sink.contentFormat.indexOf('*') === -1) {
+        score += 1;
+      }
+      best = Math.max(best, score);
+    }
+  });
+  return best;
+}
+
+/**
+ * Picks the res of a DIDL-Lite object that a renderer plays best.  Ties
+ * go to the earlier res, since servers list the original first.
+ *
+ * @param obj {DidlObject} The item, e.g. from Browse.
+ * @param sinks {Array|String} The Sink of the renderer's GetProtocolInfo,
+ * as ProtocolInfo or the comma-separated list.
+ * @returns {DidlResource} The res, or undefined if the renderer can play none.
+ */
+function findBestResource(obj, sinks) {
+  const sinkInfos = typeof sinks === 'string' ? parseProtocolInfoList(sinks) : sinks;
+  let best;
+  let bestScore = -1;
+  obj.res.forEach((res) => {
+    let source;
+    try {
+      source = ProtocolInfo.parse(res.protocolInfo);
+    } catch (err) {
+      return;
+    }
+    const score = matchScore(source, sinkInfos);
+    if (score > bestScore) {
+      best = res;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+module.exports.DLNA_FLAGS = DLNA_FLAGS;
+module.exports.ProtocolInfo = ProtocolInfo;
+module.exports.findBestResource = findBestResource;
+module.exports.parseProtocolInfoList = parseProtocolInfoList;
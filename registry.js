@@ -0,0 +1,374 @@
+/**
+ * UPnP Device Registry
+ *
+ * Groups the discovery messages in a store by device UUID, so that each
+ * device is one entry with its device type and advertised service types,
+ * rather than a message per USN.
+ *
+ * Based on http://www.upnp.org/specs/arch/UPnP-arch-DeviceArchitecture-v1.1.pdf
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const parseUSN = require('./discovery').parseUSN;
+const typeSatisfies = require('./discovery').typeSatisfies;
+
+const ROOT_DEVICE = 'upnp:rootdevice';
+
+/**
+ * Gets whether a notification type is a device type, as opposed to a
+ * service type.
+ *
+ * @param type {String} The type from a USN.
+ * @returns {boolean} Whether it is a device type.
+ * @private
+ */
+function isDeviceType(type) {
+  return /^urn:[^:]+:device:/.test(type);
+}
+
+/**
+ * Gets whether a notification type is a service type.
+ *
+ * @param type {String} The type from a USN.
+ * @returns {boolean} Whether it is a service type.
+ * @private
+ */
+function isServiceType(type) {
+  return /^urn:[^:]+:service:/.test(type);
+}
+
+/**
+ * A device, root or embedded, with the discovery messages for its UUID.
+ */
+class RegisteredDevice {
+  /**
+   * Creates a device with no messages.
+   *
+   * @param uuid {String} The device UUID, without the uuid: prefix.
+   */
+  constructor(uuid) {
+    this._uuid = uuid;
+    this._messages = new Map();
+  }
+
+  get uuid() {
+    return this._uuid;
+  }
+
+  /**
+   * Gets the discovery messages for the device, one per USN.
+   *
+   * @returns {Array} The messages.
+   */
+  get messages() {
+    return Array.from(this._messages.values());
+  }
+
+  /**
+   * Gets whether the device advertises itself as a root device.
+   *
+   * @returns {boolean} Whether it is a root device.
+   */
+  get isRoot() {
+    return this._types().indexOf(ROOT_DEVICE) !== -1;
+  }
+
+  /**
+   * Gets the device type, if the device has advertised it.
+   *
+   * @returns {String} The device type or undefined.
+   */
+  get deviceType() {
+    return this._types().find(isDeviceType);
+  }
+
+  /**
+   * Gets the service types the device advertises.
+   *
+   * @returns {Array} The service types.
+   */
+  get serviceTypes() {
+    return this._types().filter(isServiceType);
+  }
+
+  /**
+   * Gets the LOCATION of the device description, from the most
+   * recently received message.
+   *
+   * @returns {String} The location or undefined.
+   */
+  get location() {
+    const latest = this.messages.reduce((a, b) => {
+      return (!a || b.timestamp > a.timestamp) ? b : a;
+    }, undefined);
+    return latest && latest.LOCATION0 ? latest.LOCATION0.value : undefined;
+  }
+
+  /**
+   * Gets the types that follow the UUID in the USNs of the messages.
+   *
+   * @returns {Array} The types.
+   * @private
+   */
+  _types() {
+    return Array.from(this._messages.keys()).map((usn) => { return parseUSN(usn).type; })
+        .filter((type) => { return type; });
+  }
+}
+
+/**
+ * A registry of devices maintained from the messages of a discovery
+ * service.
+ *
+ * The registry emits:
+ *   added (device) when a UUID is first seen
+ *   updated (device) when a message for a known UUID is added or replaced
+ *   removed (device) when the last message for a UUID is removed
+ *
+ * A search that clears the store is not taken as the loss of every
+ * device.  The devices keep their messages until the discovery service
+ * emits reconciled, when the search has had time to find them again, and
+ * then the messages it did not find are removed.
+ */
+class DeviceRegistry extends EventEmitter {
+  /**
+   * Creates the registry from the messages already in the store of a
+   * discovery service, and keeps it up to date.
+   *
+   * @param discoveryService {DiscoveryService} The discovery service, or
+   * anything else with a messageStore.  Devices cleared from the store are
+   * only removed when it emits reconciled.
+   */
+  constructor(discoveryService) {
+    super();
+    this._service = discoveryService;
+    this._store = discoveryService.messageStore;
+    this._devices = new Map();
+    this._clearedDevices = new Set();
+    this._onReconciled = () => { this._reconcile(); };
+    this._listeners = {
+      added: (message) => { this._add(message); },
+      updated: (message) => { this._add(message); },
+      refreshed: (message) => { this._refresh(message); },
+      removed: (message, reason) => {
+        if (reason === 'cleared') {
+          this._markCleared(message);
+        } else {
+          this._remove(message);
+        }
+      }
+    };
+    Object.keys(this._listeners).forEach((event) => {
+      this._store.on(event, this._listeners[event]);
+    });
+    if (this._service instanceof EventEmitter) {
+      this._service.on('reconciled', this._onReconciled);
+    }
+    this._store.messages.forEach((message) => { this._add(message); });
+  }
+
+  /**
+   * Gets all devices, root and embedded.
+   *
+   * @returns {Array} The devices as RegisteredDevice.
+   */
+  get devices() {
+    return Array.from(this._devices.values());
+  }
+
+  /**
+   * Gets the root devices.
+   *
+   * @returns {Array} The root devices as RegisteredDevice.
+   */
+  get rootDevices() {
+    return this.devices.filter((device) => { return device.isRoot; });
+  }
+
+  /**
+   * Gets a device by UUID.
+   *
+   * @param uuid {String} The UUID, with or without the uuid: prefix.
+   * @returns {RegisteredDevice} The device or undefined.
+   */
+  getDevice(uuid) {
+    return this._devices.get(uuid.replace(/^uuid:/i, ''));
+  }
+
+  /**
+   * Gets the root device of a device.  SSDP does not say which root
+   * device an embedded device belongs to, so this is the root device
+   * with the same LOCATION.
+   *
+   * @param uuid {String} The UUID of the device.
+   * @returns {RegisteredDevice} The root device, which is the device
+   * itself if it is a root device, or undefined if it is not known.
+   */
+  getRootDevice(uuid) {
+    const device = this.getDevice(uuid);
+    if (!device || device.isRoot) {
+      return device;
+    }
+    return this.rootDevices.find((root) => { return root.location === device.location; });
+  }
+
+  /**
+   * Gets the embedded devices of a root device, which are the devices
+   * that are not root devices with the same LOCATION.
+   *
+   * @param uuid {String} The UUID of the root device.
+   * @returns {Array} The embedded devices as RegisteredDevice.
+   */
+  getEmbeddedDevices(uuid) {
+    const root = this.getDevice(uuid);
+    if (!root) {
+      return [];
+    }
+    return this.devices.filter((device) => {
+      return !device.isRoot && device.location === root.location;
+    });
+  }
+
+  /**
+   * Finds devices by device type.  Later versions of the type match too.
+   *
+   * @param deviceType {String} The device type, e.g. urn:schemas-upnp-org:device:MediaServer:1.
+   * @returns {Array} The devices as RegisteredDevice.
+   */
+  findDevicesByType(deviceType) {
+    return this.devices.filter((device) => {
+      return device.deviceType && typeSatisfies(device.deviceType, deviceType);
+    });
+  }
+
+  /**
+   * Finds devices that advertise a service type.  Later versions of the
+   * type match too.
+   *
+   * @param serviceType {String} The service type, e.g.
+   * urn:schemas-upnp-org:service:ContentDirectory:1.
+   * @returns {Array} The devices as RegisteredDevice.
+   */
+  findDevicesByServiceType(serviceType) {
+    return this.devices.filter((device) => {
+      return device.serviceTypes.some((type) => { return typeSatisfies(type, serviceType); });
+    });
+  }
+
+  /**
+   * Stops keeping the registry up to date.
+   */
+  close() {
+    Object.keys(this._listeners).forEach((event) => {
+      this._store.removeListener(event, this._listeners[event]);
+    });
+    if (this._service instanceof EventEmitter) {
+      this._service.removeListener('reconciled', this._onReconciled);
+    }
+  }
+
+  /**
+   * Adds or replaces a message.
+   *
+   * @param message {DiscoveryMessage} The message.
+   * @private
+   */
+  _add(message) {
+    const usn = parseUSN(message.USN0.value);
+    if (!usn) {
+      return;
+    }
+    let device = this._devices.get(usn.uuid);
+    const isNew = !device;
+    if (isNew) {
+      device = new RegisteredDevice(usn.uuid);
+      this._devices.set(usn.uuid, device);
+    }
+    device._messages.set(message.USN0.value, message);
+    this.emit(isNew ? 'added' : 'updated', device);
+  }
+
+  /**
+   * Replaces a message that was announced again, without an event, so the
+   * device has its latest headers.
+   *
+   * @param message {DiscoveryMessage} The message.
+   * @private
+   */
+  _refresh(message) {
+    const usn = parseUSN(message.USN0.value);
+    const device = usn && this._devices.get(usn.uuid);
+    if (device) {
+      device._messages.set(message.USN0.value, message);
+    } else {
+      this._add(message);
+    }
+  }
+
+  /**
+   * Removes a message, and its device if it has no other messages.
+   *
+   * @param message {DiscoveryMessage} The message.
+   * @private
+   */
+  _remove(message) {
+    const usn = parseUSN(message.USN0.value);
+    const device = usn && this._devices.get(usn.uuid);
+    if (!device) {
+      return;
+    }
+    device._messages.delete(message.USN0.value);
+    if (device._messages.size === 0) {
+      this._devices.delete(usn.uuid);
+      this.emit('removed', device);
+    } else {
+      this.emit('updated', device);
+    }
+  }
+
+  /**
+   * Notes that the store was cleared of a message, keeping it until the
+   * search that cleared it has had time to find it again.
+   *
+   * @param message {DiscoveryMessage} The message.
+   * @private
+   */
+  _markCleared(message) {
+    const usn = parseUSN(message.USN0.value);
+    if (usn && this._devices.has(usn.uuid)) {
+      this._clearedDevices.add(usn.uuid);
+    }
+  }
+
+  /**
+   * Removes the messages of the cleared devices that are no longer in the
+   * store, and the devices left with none, once a search has had time to
+   * find them again.
+   *
+   * @private
+   */
+  _reconcile() {
+    const stored = new Set(this._store.messages);
+    const cleared = Array.from(this._clearedDevices);
+    this._clearedDevices.clear();
+    cleared.forEach((uuid) => {
+      const device = this._devices.get(uuid);
+      if (!device) {
+        return;
+      }
+      const lost = device.messages.filter((message) => { return !stored.has(message); });
+      lost.forEach((message) => { device._messages.delete(message.USN0.value); });
+      if (device._messages.size === 0) {
+        this._devices.delete(uuid);
+        this.emit('removed', device);
+      } else if (lost.length) {
+        this.emit('updated', device);
+      }
+    });
+  }
+}
+
+module.exports.DeviceRegistry = DeviceRegistry;
+module.exports.RegisteredDevice = RegisteredDevice;
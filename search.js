@@ -0,0 +1,269 @@
+/**
+ * UPnP Search
+ *
+ * One-off searches: start discovery, send an M-SEARCH (several times if
+ * asked, since UDP can drop packets), wait for devices to respond and
+ * collect the responses, one per USN.
+ *
+ * Based on http://www.upnp.org/specs/arch/UPnP-arch-DeviceArchitecture-v1.1.pdf
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const discovery = require('./discovery');
+const registry = require('./registry');
+
+const DEFAULT_MX = 2;
+
+// The spec limits MX to 1 to 5, and the service clamps it to that
+const MAX_MX = 5;
+
+// The time between sends of a search, when retrying
+const RETRY_INTERVAL = 1000;
+
+// How long after MX to wait for responses still in flight
+const RESPONSE_ALLOWANCE = 1000;
+
+/**
+ * Gets whether a search response is for a search target.  Later versions
+ * of a requested type match too.
+ *
+ * @param message {DiscoveryMessage} The search response.
+ * @param searchTarget {String} The search target, e.g. ssdp:all.
+ * @returns {boolean} Whether the response is for the search target.
+ * @private
+ */
+function matchesSearchTarget(message, searchTarget) {
+  if (searchTarget === 'ssdp:all') {
+    return true;
+  }
+  const st = message.ST0;
+  return !!st && discovery.typeSatisfies(st.value, searchTarget);
+}
+
+/**
+ * A search that streams responses as they arrive and can be cancelled.
+ *
+ * The search emits:
+ *   response (message) for the first response with each USN
+ *   device (device) for the first response from each device UUID, as RegisteredDevice
+ *   end (responses) when the search is done or cancelled
+ *   error (err) for a search that could not be sent, if anyone is listening for errors
+ */
+class DiscoverySearch extends EventEmitter {
+  /**
+   * Creates the search.  The search does nothing until it is started.
+   *
+   * The options are:
+   *   st {String} The search target, by default ssdp:all.
+   *   mx {Number} The most seconds devices should wait before responding,
+   *     1 to 5, by default 2.  Values outside that range are clamped to it.
+   *   timeout {Number} The milliseconds to wait after the last send, by
+   *     default MX seconds and a little more.
+   *   retries {Number} The number of times to send the search again, a
+   *     second apart, by default 0.
+   *   service {DiscoveryService} A started service to search with.  By
+   *     default a service is created from the options, which are those of
+   *     DiscoveryService, and stopped when the search is done.
+   *
+   * @param options {Object} The options, if any.
+   */
+  constructor(options) {
+    super();
+    const opts = options || {};
+    this._searchTarget = opts.st || 'ssdp:all';
+    this._mx = Math.min(Math.max(Math.round(opts.mx || DEFAULT_MX), 1), MAX_MX);
+    this._timeout = opts.timeout === undefined ?
+      (this._mx * 1000) + RESPONSE_ALLOWANCE : opts.timeout;
+    this._retries = opts.retries || 0;
+    this._ownsService = !opts.service;
+    this._service = opts.service ||
+      new discovery.DiscoveryService(Object.assign({ notifyPort: null }, opts));
+    // The search keeps its own store, so NOTIFY messages and other searches
+    // on a shared service do not get mixed in
+    this._store = new discovery.DiscoveryMessageStore();
+    this._registry = new registry.DeviceRegistry({ messageStore: this._store });
+    this._promise = new Promise((resolve, reject) => {
+      this._resolve = resolve;
+      this._reject = reject;
+    });
+    this._started = false;
+    this._timer = null;
+    this._sent = 0;
+    this._done = false;
+    this._onMessage = (message) => {
+      if (message.isSearchResponse && matchesSearchTarget(message, this._searchTarget)) {
+        this._store.update(message);
+      }
+    };
+
+    this._store.on('added', (message) => {
+      this.emit('response', message);
+    });
+    this._registry.on('added', (device) => {
+      this.emit('device', device);
+    });
+  }
+
+  /**
+   * Gets the responses so far, one per USN.
+   *
+   * @returns {Array} The responses as DiscoveryMessage.
+   */
+  get responses() {
+    return this._store.messages;
+  }
+
+  /**
+   * Gets the devices that have responded so far.
+   *
+   * @returns {Array} The devices as RegisteredDevice.
+   */
+  get devices() {
+    return this._registry.devices;
+  }
+
+  /**
+   * Gets whether the search is done or cancelled.
+   *
+   * @returns {boolean} Whether the search is done.
+   */
+  get isDone() {
+    return this._done;
+  }
+
+  /**
+   * Starts the search.  Calling it again gets the same Promise.
+   *
+   * @returns {Promise} Resolves with the responses when the search is done
+   * or cancelled, or rejects if the service could not be started or no
+   * search could be sent.
+   */
+  start() {
+    if (this._started || this._done) {
+      return this._promise;
+    }
+    this._started = true;
+    const started = !this._ownsService ? Promise.resolve() : new Promise((resolve, reject) => {
+      this._service.startService((err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+    started.then(() => {
+      if (!this._done) {
+        this._service.on('message', this._onMessage);
+        this._send(0);
+      }
+    }).catch((err) => {
+      this._finish(err);
+    });
+    return this._promise;
+  }
+
+  /**
+   * Ends the search early.  The responses so far are kept.  A search
+   * cancelled before it starts never starts.
+   */
+  cancel() {
+    this._finish(null);
+  }
+
+  /**
+   * Sends the search, then either sends it again or waits for responses.
+   *
+   * @param attempt {Number} The number of sends so far.
+   * @private
+   */
+  _send(attempt) {
+    const sent = (err) => {
+      if (this._done) {
+        return;
+      }
+      if (err) {
+        this._emitError(err);
+      } else {
+        this._sent += 1;
+      }
+      if (attempt < this._retries) {
+        this._timer = setTimeout(() => { this._send(attempt + 1); }, RETRY_INTERVAL);
+      } else if (this._sent === 0) {
+        this._finish(err);
+      } else {
+        this._timer = setTimeout(() => { this._finish(null); }, this._timeout);
+      }
+    };
+    try {
+      this._service.startSearch(this._searchTarget, { mx: this._mx, clear: false }, sent);
+    } catch (err) {
+      // Such as a shared service stopped since the search started
+      this._finish(err);
+    }
+  }
+
+  /**
+   * Ends the search, stopping the service if the search started it.
+   *
+   * @param err {Error} Why the search failed, or null.
+   * @private
+   */
+  _finish(err) {
+    if (this._done) {
+      return;
+    }
+    this._done = true;
+    clearTimeout(this._timer);
+    this._service.removeListener('message', this._onMessage);
+    this._registry.close();
+    const settle = () => {
+      if (err) {
+        this._reject(err);
+      } else {
+        this._resolve(this.responses);
+      }
+      this.emit('end', this.responses);
+    };
+    if (this._ownsService && this._started) {
+      this._service.stopService(settle);
+    } else {
+      settle();
+    }
+  }
+
+  /**
+   * Emits an error, if anyone is listening for errors.
+   *
+   * @param err {Error} The error.
+   * @private
+   */
+  _emitError(err) {
+    if (this.listenerCount('error')) {
+      this.emit('error', err);
+    }
+  }
+}
+
+/**
+ * Searches and waits for the responses.
+ *
+ * The options are those of DiscoverySearch and:
+ *   devices {boolean} Whether to resolve with the devices rather than the
+ *     responses, by default false.
+ *
+ * @param options {Object} The options, if any.
+ * @returns {Promise} Resolves with the responses as DiscoveryMessage, one
+ * per USN, or the devices as RegisteredDevice.
+ */
+function discover(options) {
+  const search = new DiscoverySearch(options);
+  return search.start().then((responses) => {
+    return (options && options.devices) ? search.devices : responses;
+  });
+}
+
+module.exports.DiscoverySearch = DiscoverySearch;
+module.exports.discover = discover;
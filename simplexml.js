@@ -64,5 +64,24 @@ function parseObjectFromXml(xml) {
   return parseObjectFromElement(doc.documentElement);
 }
 
+/**
+ * Escapes a string for use as XML character data or an attribute value.
+ *
+ * @param str {String} The string.
+ * @returns {String} The escaped string.
+ */
+function escapeXml(str) {
+  return String(str).replace(/[&<>"']/g, (c) => {
+    return {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&apos;'
+    }[c];
+  });
+}
+
+module.exports.escapeXml = escapeXml;
 module.exports.parseObjectFromElement = parseObjectFromElement;
 module.exports.parseObjectFromXml = parseObjectFromXml;
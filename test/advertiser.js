@@ -0,0 +1,65 @@
+'use strict';
+
+const assert = require('assert');
+const advertisements = require('../advertiser').advertisements;
+const answers = require('../advertiser').answers;
+
+const MEDIA_SERVER = 'urn:schemas-upnp-org:device:MediaServer:2';
+const CONTENT_DIRECTORY = 'urn:schemas-upnp-org:service:ContentDirectory:2';
+const CONNECTION_MANAGER = 'urn:schemas-upnp-org:service:ConnectionManager:1';
+const EMBEDDED = 'urn:example-com:device:Embedded:1';
+
+const device = {
+  uuid: 'root',
+  deviceType: MEDIA_SERVER,
+  services: [CONTENT_DIRECTORY, CONNECTION_MANAGER, CONTENT_DIRECTORY],
+  devices: [{ uuid: 'uuid:embedded', deviceType: EMBEDDED }]
+};
+
+describe('advertisements', () => {
+  it('lists the root device, then each device, then its services', () => {
+    assert.deepStrictEqual(advertisements(device, true), [
+      { nt: 'upnp:rootdevice', usn: 'uuid:root::upnp:rootdevice' },
+      { nt: 'uuid:root', usn: 'uuid:root' },
+      { nt: MEDIA_SERVER, usn: `uuid:root::${MEDIA_SERVER}` },
+      { nt: CONTENT_DIRECTORY, usn: `uuid:root::${CONTENT_DIRECTORY}` },
+      { nt: CONNECTION_MANAGER, usn: `uuid:root::${CONNECTION_MANAGER}` },
+      { nt: 'uuid:embedded', usn: 'uuid:embedded' },
+      { nt: EMBEDDED, usn: `uuid:embedded::${EMBEDDED}` }
+    ]);
+  });
+});
+
+describe('answers', () => {
+  const pairs = advertisements(device, true);
+
+  it('answers ssdp:all with every advertisement', () => {
+    const all = answers(pairs, 'ssdp:all');
+    assert.strictEqual(all.length, pairs.length);
+    assert.deepStrictEqual(all[0], { st: 'upnp:rootdevice', usn: 'uuid:root::upnp:rootdevice' });
+    assert.deepStrictEqual(all[5], { st: 'uuid:embedded', usn: 'uuid:embedded' });
+  });
+
+  it('answers a uuid target with the device alone', () => {
+    assert.deepStrictEqual(answers(pairs, 'uuid:embedded'),
+        [{ st: 'uuid:embedded', usn: 'uuid:embedded' }]);
+  });
+
+  it('answers upnp:rootdevice for the root device only', () => {
+    assert.deepStrictEqual(answers(pairs, 'upnp:rootdevice'),
+        [{ st: 'upnp:rootdevice', usn: 'uuid:root::upnp:rootdevice' }]);
+  });
+
+  it('answers an earlier version of a type with that version', () => {
+    const target = 'urn:schemas-upnp-org:device:MediaServer:1';
+    assert.deepStrictEqual(answers(pairs, target),
+        [{ st: target, usn: `uuid:root::${target}` }]);
+    const serviceTarget = 'urn:schemas-upnp-org:service:ContentDirectory:1';
+    assert.deepStrictEqual(answers(pairs, serviceTarget),
+        [{ st: serviceTarget, usn: `uuid:root::${serviceTarget}` }]);
+  });
+
+  it('does not answer a later version of a type', () => {
+    assert.deepStrictEqual(answers(pairs, 'urn:schemas-upnp-org:service:ConnectionManager:2'), []);
+  });
+});
@@ -0,0 +1,225 @@
+'use strict';
+
+const assert = require('assert');
+const AVTransportControl = require('../control').AVTransportControl;
+const ConnectionManagerControl = require('../control').ConnectionManagerControl;
+const RenderingControl = require('../control').RenderingControl;
+const ServiceDescription = require('../description').ServiceDescription;
+
+/**
+ * Replaces the SOAP transport of a control with one that records each
+ * call and answers with a canned response element.
+ *
+ * @param control {SoapControl} The control.
+ * @param responses {Object} The parsed response elements keyed by action name.
+ * @returns {Array} The calls, each with methodName and params.
+ */
+function stubSoap(control, responses) {
+  const calls = [];
+  Object.assign(control, {
+    _soapCall: (soapAction, methodName, methodNs, params, callback) => {
+      calls.push({ methodName: methodName, params: params });
+      setImmediate(() => { callback(null, { statusCode: 200 }, responses[methodName] || ''); });
+    }
+  });
+  return calls;
+}
+
+/**
+ * Gets the value of an input parameter of a call.
+ *
+ * @param call {Object} The call.
+ * @param name {String} The parameter name.
+ * @returns {*} The value.
+ */
+function paramValue(call, name) {
+  return call.params.find((param) => { return param.name === name; }).value;
+}
+
+describe('AVTransportControl', () => {
+  describe('#seek', () => {
+    it('sends a time target as H+:MM:SS with any fraction', () => {
+      const control = new AVTransportControl('http://127.0.0.1/control');
+      const calls = stubSoap(control, {});
+      const targets = [0, 59, 90.5, 3723.25, 36000.125];
+      return targets.reduce((previous, target) => {
+        return previous.then(() => { return control.seek('REL_TIME', target); });
+      }, Promise.resolve()).then(() => {
+        assert.deepStrictEqual(calls.map((call) => { return paramValue(call, 'Target'); }),
+            ['0:00:00', '0:00:59', '0:01:30.5', '1:02:03.25', '10:00:00.125']);
+        assert.strictEqual(paramValue(calls[0], 'InstanceID'), 0);
+      });
+    });
+
+    it('sends a track number as it is', () => {
+      const control = new AVTransportControl('http://127.0.0.1/control');
+      const calls = stubSoap(control, {});
+      return control.seek('TRACK_NR', 3).then(() => {
+        assert.strictEqual(paramValue(calls[0], 'Target'), '3');
+      });
+    });
+  });
+
+  describe('#getPositionInfo', () => {
+    const positionInfo = (relTime) => {
+      return {
+        Track: '1',
+        TrackDuration: '0:03:20.5',
+        TrackMetaData: '',
+        TrackURI: 'http://127.0.0.1/track.mp3',
+        RelTime: relTime,
+        AbsTime: 'NOT_IMPLEMENTED',
+        RelCount: '2147483647',
+        AbsCount: '2147483647'
+      };
+    };
+
+    it('parses durations and times to seconds', () => {
+      const control = new AVTransportControl('http://127.0.0.1/control');
+      stubSoap(control, { GetPositionInfo: positionInfo('0:00:01.1/4') });
+      return control.getPositionInfo().then((result) => {
+        assert.strictEqual(result.Track, 1);
+        assert.strictEqual(result.TrackDuration, 200.5);
+        assert.strictEqual(result.RelTime, 1.25);
+        assert.strictEqual(result.AbsTime, undefined);
+        assert.strictEqual(result.TrackMetaData, null);
+      });
+    });
+
+    it('reads back a fractional seek target as the same seconds', () => {
+      const control = new AVTransportControl('http://127.0.0.1/control');
+      const calls = stubSoap(control, {});
+      return control.seek('REL_TIME', 3723.25).then(() => {
+        stubSoap(control, { GetPositionInfo: positionInfo(paramValue(calls[0], 'Target')) });
+        return control.getPositionInfo();
+      }).then((result) => {
+        assert.strictEqual(result.RelTime, 3723.25);
+      });
+    });
+  });
+
+  describe('#play', () => {
+    it('resolves for an empty response element', () => {
+      const control = new AVTransportControl('http://127.0.0.1/control');
+      const calls = stubSoap(control, {});
+      return control.play().then(() => {
+        assert.strictEqual(calls[0].methodName, 'Play');
+        assert.strictEqual(paramValue(calls[0], 'Speed'), '1');
+      });
+    });
+  });
+});
+
+describe('RenderingControl', () => {
+  const scpd = `<?xml version="1.0"?>
+<scpd xmlns="urn:schemas-upnp-org:service-1-0">
+<actionList>
+<action><name>GetVolume</name><argumentList>
+<argument><name>InstanceID</name><direction>in</direction>
+<relatedStateVariable>A_ARG_TYPE_InstanceID</relatedStateVariable></argument>
+<argument><name>Channel</name><direction>in</direction>
+<relatedStateVariable>A_ARG_TYPE_Channel</relatedStateVariable></argument>
+<argument><name>CurrentVolume</name><direction>out</direction>
+<relatedStateVariable>Volume</relatedStateVariable></argument>
+</argumentList></action>
+<action><name>GetVolumeDBRange</name><argumentList>
+<argument><name>InstanceID</name><direction>in</direction>
+<relatedStateVariable>A_ARG_TYPE_InstanceID</relatedStateVariable></argument>
+<argument><name>Channel</name><direction>in</direction>
+<relatedStateVariable>A_ARG_TYPE_Channel</relatedStateVariable></argument>
+</argumentList></action>
+</actionList>
+<serviceStateTable>
+<stateVariable sendEvents="no"><name>A_ARG_TYPE_InstanceID</name><dataType>ui4</dataType>
+</stateVariable>
+<stateVariable sendEvents="no"><name>A_ARG_TYPE_Channel</name><dataType>string</dataType>
+<allowedValueList><allowedValue>Master</allowedValue><allowedValue>LF</allowedValue>
+</allowedValueList></stateVariable>
+<stateVariable sendEvents="no"><name>Volume</name><dataType>ui2</dataType>
+<allowedValueRange><minimum>0</minimum><maximum>100</maximum></allowedValueRange>
+</stateVariable>
+</serviceStateTable>
+</scpd>`;
+
+  it('gets the volume of a channel listed in the SCPD', () => {
+    const control = new RenderingControl('http://127.0.0.1/control', 0,
+        ServiceDescription.parse(scpd));
+    const calls = stubSoap(control, { GetVolume: { CurrentVolume: '24' } });
+    return control.getVolume('LF').then((volume) => {
+      assert.strictEqual(volume, 24);
+      assert.strictEqual(paramValue(calls[0], 'Channel'), 'LF');
+    });
+  });
+
+  it('rejects a channel the SCPD does not list without calling the action', () => {
+    const control = new RenderingControl('http://127.0.0.1/control', 0,
+        ServiceDescription.parse(scpd));
+    const calls = stubSoap(control, {});
+    return Promise.all([
+      control.getVolume('NoSuchChannel').then(() => { assert.fail('resolved'); }, (err) => {
+        assert(/Channel: NoSuchChannel is not one of Master, LF/.test(err.message));
+      }),
+      control.getVolumeDBRange('NoSuchChannel').then(() => { assert.fail('resolved'); }, (err) => {
+        assert(/GetVolumeDBRange argument Channel/.test(err.message));
+      })
+    ]).then(() => {
+      assert.strictEqual(calls.length, 0);
+    });
+  });
+
+  it('rejects a volume outside the range of its type', () => {
+    const control = new RenderingControl('http://127.0.0.1/control');
+    const calls = stubSoap(control, {});
+    return control.setVolume(70000).then(() => { assert.fail('resolved'); }, (err) => {
+      assert(/DesiredVolume/.test(err.message));
+      assert.strictEqual(calls.length, 0);
+    });
+  });
+});
+
+describe('ConnectionManagerControl', () => {
+  describe('#prepareForConnection', () => {
+    it('defaults the peer connection manager and ConnectionID', () => {
+      const control = new ConnectionManagerControl('http://127.0.0.1/control');
+      const calls = stubSoap(control, {
+        PrepareForConnection: { ConnectionID: '1', AVTransportID: '2', RcsID: '3' }
+      });
+      return control.prepareForConnection('http-get:*:audio/mpeg:*', null, undefined, 'Input')
+          .then((result) => {
+            assert.deepStrictEqual(result, { ConnectionID: 1, AVTransportID: 2, RcsID: 3 });
+            assert.strictEqual(paramValue(calls[0], 'PeerConnectionManager'), '');
+            assert.strictEqual(paramValue(calls[0], 'PeerConnectionID'), -1);
+          });
+    });
+
+    it('rejects a missing direction without calling the action', () => {
+      const control = new ConnectionManagerControl('http://127.0.0.1/control');
+      const calls = stubSoap(control, {});
+      return control.prepareForConnection('http-get:*:audio/mpeg:*').then(() => {
+        assert.fail('resolved');
+      }, (err) => {
+        assert(/Direction/.test(err.message));
+        assert.strictEqual(calls.length, 0);
+      });
+    });
+
+    it('rejects a missing protocolInfo through the callback', (done) => {
+      const control = new ConnectionManagerControl('http://127.0.0.1/control');
+      stubSoap(control, {});
+      control.prepareForConnection(undefined, '', -1, 'Input', (err) => {
+        assert(/RemoteProtocolInfo/.test(err.message));
+        done();
+      }).catch(() => {});
+    });
+  });
+
+  describe('#connectionComplete', () => {
+    it('rejects a missing ConnectionID without calling the action', () => {
+      const control = new ConnectionManagerControl('http://127.0.0.1/control');
+      const calls = stubSoap(control, {});
+      return control.connectionComplete().then(() => { assert.fail('resolved'); }, () => {
+        assert.strictEqual(calls.length, 0);
+      });
+    });
+  });
+});
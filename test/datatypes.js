@@ -0,0 +1,29 @@
+'use strict';
+
+const assert = require('assert');
+const datatypes = require('../datatypes');
+
+describe('formatValue', () => {
+  it('formats numbers, booleans and strings', () => {
+    assert.strictEqual(datatypes.formatValue('ui4', 42), '42');
+    assert.strictEqual(datatypes.formatValue('i2', '-5'), '-5');
+    assert.strictEqual(datatypes.formatValue('r8', 1.5), '1.5');
+    assert.strictEqual(datatypes.formatValue('boolean', true), '1');
+    assert.strictEqual(datatypes.formatValue('string', 'a'), 'a');
+    assert.strictEqual(datatypes.formatValue('ui4', undefined), '');
+  });
+
+  it('throws rather than send a numeric value that is not a number', () => {
+    assert.throws(() => { datatypes.formatValue('ui4', 'abc'); }, /abc is not a number of type ui4/);
+    assert.throws(() => { datatypes.formatValue('r8', NaN); }, /NaN/);
+    assert.throws(() => { datatypes.formatValue('i4', Infinity); }, /Infinity/);
+  });
+});
+
+describe('validateValue', () => {
+  it('accepts only 0 and 1 as numeric booleans', () => {
+    assert.strictEqual(datatypes.validateValue('boolean', 1), undefined);
+    assert.strictEqual(datatypes.validateValue('boolean', 'true'), undefined);
+    assert(datatypes.validateValue('boolean', 2));
+  });
+});
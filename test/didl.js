@@ -0,0 +1,68 @@
+'use strict';
+
+const assert = require('assert');
+const didl = require('../didl');
+
+/**
+ * Wraps objects in a DIDL-Lite document with the usual declarations.
+ *
+ * @param objects {String} The container and item elements.
+ * @returns {String} The document.
+ */
+function document(objects) {
+  return '<DIDL-Lite xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/"' +
+    ' xmlns:dc="http://purl.org/dc/elements/1.1/"' +
+    ' xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/"' +
+    ` xmlns:ex="urn:example-com:metadata">${objects}</DIDL-Lite>`;
+}
+
+describe('parseDidlLite', () => {
+  it('builds the typed object with only the parsed properties', () => {
+    const lite = didl.parseDidlLite(document(
+        '<item id="1" parentID="0" restricted="1"><dc:title>Song</dc:title>' +
+        '<upnp:class>object.item.audioItem.musicTrack</upnp:class></item>'));
+    const track = lite.objects[0];
+    assert(track instanceof didl.MusicTrack);
+    assert.deepStrictEqual(track.properties.map((p) => { return p.name; }),
+        ['dc:title', 'upnp:class']);
+    assert.deepStrictEqual(track.namespaces, {});
+  });
+
+  it('keeps the namespaces of unknown properties for serializing', () => {
+    const lite = didl.parseDidlLite(document(
+        '<item id="1" parentID="0"><dc:title>Song</dc:title>' +
+        '<upnp:class>object.item</upnp:class><ex:rating>5</ex:rating></item>'));
+    const item = lite.objects[0];
+    assert.deepStrictEqual(item.namespaces, { ex: 'urn:example-com:metadata' });
+    assert.strictEqual(item.getProperty('ex:rating'), '5');
+    const xml = didl.serializeDidlLite(lite.objects);
+    assert(xml.indexOf('xmlns:ex="urn:example-com:metadata"') !== -1);
+    assert.strictEqual(didl.parseDidlLite(xml).objects[0].getProperty('ex:rating'), '5');
+  });
+
+  it('reads booleans in any case', () => {
+    const lite = didl.parseDidlLite(document(
+        '<container id="1" parentID="0" restricted="True" searchable="FALSE">' +
+        '<dc:title>Music</dc:title><upnp:class>object.container</upnp:class></container>'));
+    assert.strictEqual(lite.objects[0].restricted, true);
+    assert.strictEqual(lite.objects[0].searchable, false);
+  });
+
+  it('names an unknown element in a default namespace by its local name', () => {
+    const lite = didl.parseDidlLite(document(
+        '<item id="1" parentID="0"><dc:title>Song</dc:title><upnp:class>object.item</upnp:class>' +
+        '<rating xmlns="urn:example-com:metadata">5</rating></item>'));
+    assert.strictEqual(lite.objects[0].getProperty('rating'), '5');
+    assert.deepStrictEqual(lite.objects[0].namespaces, {});
+  });
+});
+
+describe('DidlObject.createEmpty', () => {
+  it('creates an instance of the class it is called on with no properties', () => {
+    const album = didl.MusicAlbum.createEmpty('2', '0', { ex: 'urn:example-com:metadata' });
+    assert(album instanceof didl.MusicAlbum);
+    assert.strictEqual(album.id, '2');
+    assert.deepStrictEqual(album.properties, []);
+    assert.deepStrictEqual(album.namespaces, { ex: 'urn:example-com:metadata' });
+  });
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const assert = require('assert');
+const DiscoveryMessage = require('../discovery').DiscoveryMessage;
+const DiscoveryMessageStore = require('../discovery').DiscoveryMessageStore;
+const parseUSN = require('../discovery').parseUSN;
+const typeSatisfies = require('../discovery').typeSatisfies;
+
+describe('parseUSN', () => {
+  it('splits the UUID from the type', () => {
+    assert.deepStrictEqual(parseUSN('uuid:abc::urn:schemas-upnp-org:device:MediaServer:1'),
+        { uuid: 'abc', type: 'urn:schemas-upnp-org:device:MediaServer:1' });
+    assert.deepStrictEqual(parseUSN('uuid:abc'), { uuid: 'abc', type: undefined });
+    assert.strictEqual(parseUSN('abc'), undefined);
+  });
+});
+
+describe('typeSatisfies', () => {
+  const server = (version) => { return `urn:schemas-upnp-org:device:MediaServer:${version}`; };
+
+  it('is satisfied by the same or a later version', () => {
+    assert(typeSatisfies(server(1), server(1)));
+    assert(typeSatisfies(server(2), server(1)));
+  });
+
+  it('is not satisfied by an earlier version or another type', () => {
+    assert(!typeSatisfies(server(1), server(2)));
+    assert(!typeSatisfies('urn:schemas-upnp-org:device:MediaRenderer:2', server(1)));
+    assert(!typeSatisfies('upnp:rootdevice', server(1)));
+  });
+});
+
+describe('DiscoveryMessageStore', () => {
+  it('emits ignored, rather than logging, for a message missing a required header', () => {
+    const store = new DiscoveryMessageStore();
+    const ignored = [];
+    store.on('ignored', (message) => { ignored.push(message); });
+    const message = DiscoveryMessage.parseString({ address: '127.0.0.1', port: 1900 }, new Date(),
+        'NOTIFY * HTTP/1.1\r\n' +
+        'HOST: 239.255.255.250:1900\r\n' +
+        'CACHE-CONTROL: max-age=1800\r\n' +
+        'NT: upnp:rootdevice\r\n' +
+        'NTS: ssdp:alive\r\n' +
+        'USN: uuid:a::upnp:rootdevice\r\n' +
+        '\r\n');
+    store.update(message);
+    assert.deepStrictEqual(ignored, [message]);
+    assert(message.warnings.indexOf('missing LOCATION header') !== -1);
+    assert.strictEqual(store.messages.length, 0);
+  });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const DiscoveryMessage = require('../discovery').DiscoveryMessage;
+const DiscoveryMessageStore = require('../discovery').DiscoveryMessageStore;
+const DeviceRegistry = require('../registry').DeviceRegistry;
+
+/**
+ * Parses an ssdp:alive NOTIFY.
+ *
+ * @param usn {String} The USN.
+ * @returns {DiscoveryMessage} The message.
+ */
+function alive(usn) {
+  const nt = usn.indexOf('::') === -1 ? usn : usn.substring(usn.indexOf('::') + 2);
+  return DiscoveryMessage.parseString({ address: '127.0.0.1', port: 1900 }, new Date(),
+      'NOTIFY * HTTP/1.1\r\n' +
+      'HOST: 239.255.255.250:1900\r\n' +
+      'CACHE-CONTROL: max-age=1800\r\n' +
+      'LOCATION: http://127.0.0.1/description.xml\r\n' +
+      `NT: ${nt}\r\n` +
+      'NTS: ssdp:alive\r\n' +
+      `USN: ${usn}\r\n` +
+      '\r\n');
+}
+
+/**
+ * Creates a stand-in for a discovery service: its store and the
+ * reconciled event.
+ *
+ * @returns {EventEmitter} The service.
+ */
+function fakeService() {
+  const service = new EventEmitter();
+  service.messageStore = new DiscoveryMessageStore();
+  return service;
+}
+
+describe('DeviceRegistry', () => {
+  it('keeps cleared devices until the service has reconciled', () => {
+    const service = fakeService();
+    const store = service.messageStore;
+    store.update(alive('uuid:a::upnp:rootdevice'));
+    store.update(alive('uuid:a::urn:schemas-upnp-org:service:AVTransport:1'));
+    store.update(alive('uuid:b::upnp:rootdevice'));
+    const registry = new DeviceRegistry(service);
+    const events = [];
+    ['added', 'updated', 'removed'].forEach((event) => {
+      registry.on(event, (device) => { events.push(`${event} ${device.uuid}`); });
+    });
+
+    store.clear();
+    assert.strictEqual(registry.devices.length, 2);
+    store.update(alive('uuid:a::upnp:rootdevice'));
+    assert.deepStrictEqual(events, ['updated a']);
+
+    service.emit('reconciled');
+    assert.deepStrictEqual(events, ['updated a', 'updated a', 'removed b']);
+    assert.deepStrictEqual(registry.devices.map((device) => { return device.uuid; }), ['a']);
+    assert.deepStrictEqual(registry.getDevice('a').serviceTypes, []);
+    registry.close();
+  });
+
+  it('stops listening for reconciled when closed', () => {
+    const service = fakeService();
+    const registry = new DeviceRegistry(service);
+    registry.close();
+    assert.strictEqual(service.listenerCount('reconciled'), 0);
+  });
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const DiscoverySearch = require('../search').DiscoverySearch;
+
+/**
+ * Creates a stand-in for a started discovery service that records the
+ * options of each search.
+ *
+ * @returns {EventEmitter} The service, with the options in searches.
+ */
+function fakeService() {
+  const service = new EventEmitter();
+  service.searches = [];
+  service.startSearch = (searchTarget, options, callback) => {
+    service.searches.push(options);
+    setImmediate(callback);
+  };
+  return service;
+}
+
+describe('DiscoverySearch', () => {
+  it('clamps MX to what the service sends', () => {
+    const service = fakeService();
+    const searches = [30, 0.2, 3].map((mx) => {
+      return new DiscoverySearch({ service: service, mx: mx, timeout: 1 }).start();
+    });
+    return Promise.all(searches).then(() => {
+      assert.deepStrictEqual(service.searches.map((options) => { return options.mx; }), [5, 1, 3]);
+    });
+  });
+
+  it('waits MX seconds and a little more by default', () => {
+    assert.strictEqual(new DiscoverySearch({ service: fakeService(), mx: 30 })._timeout, 6000);
+  });
+});